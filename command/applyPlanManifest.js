@@ -0,0 +1,248 @@
+import * as vscode from "vscode";
+import * as path from "path";
+
+import { getAIModel } from "../config/ai.js";
+import { startRun, finishRun } from "../config/usage.js";
+import {
+  buildExistingPathsSummary,
+  createPathArtifacts,
+  normalizePlanPath,
+  normalizeSegments,
+} from "./generatePaths.js";
+import { generateProjectFiles, writeGeneratedFiles } from "./createProjectByAI.js";
+import { openPlanEditor } from "./planEditor.js";
+import { commitGeneration } from "./generationHistory.js";
+import { createTransaction } from "./generationTransaction.js";
+import { renameDependencies } from "./generationOrder.js";
+import {
+  createManifest,
+  manifestFormat,
+  parseManifest,
+  serializeManifest,
+} from "./planManifest.js";
+
+const DEFAULT_MANIFEST_NAME = "ai-plan.yaml";
+
+/**
+ * Save a plan as a JSON or YAML manifest (by the chosen extension). Entries
+ * stay relative to baseUri, which is recorded relative to its workspace
+ * folder so the manifest can be applied again without the planner.
+ * @param {vscode.Uri} baseUri
+ * @param {{ instructions?: string; entries: Array<{ path: string; pathKind: "file" | "directory"; instructions?: string; content?: string; dependsOn?: string[] }> }} plan
+ * @returns {Promise<vscode.Uri | undefined>} the saved file, or undefined when cancelled
+ */
+export async function savePlanManifest(baseUri, plan) {
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.joinPath(baseUri, DEFAULT_MANIFEST_NAME),
+    filters: { YAML: ["yaml", "yml"], JSON: ["json"] },
+    saveLabel: "Save Plan Manifest",
+  });
+  if (!target) {
+    return undefined;
+  }
+
+  const folder = vscode.workspace.getWorkspaceFolder(baseUri);
+  const manifest = createManifest({
+    ...plan,
+    root: (vscode.workspace.workspaceFolders?.length ?? 0) > 1 ? folder?.name : undefined,
+    base: folder ? path.posix.relative(folder.uri.path, baseUri.path) : undefined,
+  });
+  const text = serializeManifest(manifest, manifestFormat(target.path));
+  await vscode.workspace.fs.writeFile(target, Buffer.from(text, "utf8"));
+  vscode.window.showInformationMessage(
+    `Saved plan manifest to ${vscode.workspace.asRelativePath(target)}`
+  );
+  return target;
+}
+
+/**
+ * Folder a manifest applies to: its `base` inside the workspace folder named
+ * `root`, or inside the workspace folder that holds the manifest.
+ * @param {vscode.Uri} manifestUri
+ * @param {import("./planManifest.js").PlanManifest} manifest
+ */
+function resolveManifestBase(manifestUri, manifest) {
+  const folder =
+    (vscode.workspace.workspaceFolders ?? []).find((item) => item.name === manifest.root) ??
+    vscode.workspace.getWorkspaceFolder(manifestUri);
+  if (!folder) {
+    throw new Error("Open the workspace folder that contains the manifest first");
+  }
+  const base = manifest.base ? normalizeSegments(manifest.base) : "";
+  return base ? vscode.Uri.joinPath(folder.uri, base) : folder.uri;
+}
+
+/**
+ * @param {vscode.Uri | undefined} uri manifest given by the caller
+ */
+async function pickManifestFile(uri) {
+  if (uri instanceof vscode.Uri) {
+    return uri;
+  }
+  const active = vscode.window.activeTextEditor?.document.uri;
+  const picked = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    defaultUri:
+      active && /\.(json|ya?ml)$/i.test(active.path)
+        ? active
+        : vscode.workspace.workspaceFolders?.[0]?.uri,
+    filters: { "Plan manifest": ["yaml", "yml", "json"] },
+    openLabel: "Apply",
+  });
+  return picked?.[0];
+}
+
+/**
+ * Command: Apply Plan Manifest
+ * - Reads a manifest saved from the plan editor or after generating files
+ * - Reviews its entries in the plan editor, without calling the planner
+ * - Creates folders and files; files without content are left empty or
+ *   generated and reviewed the same way as Create Project By AI
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.Uri} [uri] manifest file to apply; asked for when missing
+ */
+export async function applyPlanManifest(context, uri) {
+  const run = startRun("applyPlanManifest");
+  let transaction;
+  try {
+    const manifestUri = await pickManifestFile(uri);
+    if (!manifestUri) return;
+    const manifestName = path.posix.basename(manifestUri.path);
+
+    let manifest;
+    try {
+      const text = Buffer.from(await vscode.workspace.fs.readFile(manifestUri)).toString("utf8");
+      manifest = parseManifest(text, manifestFormat(manifestUri.path));
+    } catch (error) {
+      vscode.window.showErrorMessage(`Invalid plan manifest ${manifestName}: ${error.message}`);
+      return;
+    }
+    if (manifest.entries.length === 0) {
+      vscode.window.showInformationMessage(`${manifestName} has no entries.`);
+      return;
+    }
+    const baseUri = resolveManifestBase(manifestUri, manifest);
+
+    // Per-file instructions, content and dependencies, by the path the plan editor returns
+    const details = new Map();
+    const dependencies = new Map();
+    for (const entry of manifest.entries) {
+      try {
+        const entryPath = normalizePlanPath(entry.path);
+        details.set(entryPath, entry);
+        if (entry.dependsOn) {
+          dependencies.set(
+            entryPath,
+            entry.dependsOn.flatMap((dep) => {
+              try {
+                return [normalizePlanPath(dep)];
+              } catch {
+                return [];
+              }
+            })
+          );
+        }
+      } catch {
+        // Rejected by the plan editor as well
+      }
+    }
+    const selections = await openPlanEditor(
+      context,
+      manifest.entries.map((entry) => ({ path: entry.path, pathKind: entry.kind })),
+      {
+        title: `Review ${manifestName}`,
+        baseUri,
+        confirmLabel: "Apply",
+        // Entries the plan editor renames keep their details and dependencies
+        onRename: (renamed) => {
+          renameDependencies(dependencies, renamed);
+          for (const [from, to] of Object.entries(renamed)) {
+            const entry = details.get(from);
+            details.delete(from);
+            if (entry && !details.has(to)) details.set(to, entry);
+          }
+        },
+      }
+    );
+    if (!selections) return;
+    if (selections.length === 0) {
+      vscode.window.showInformationMessage("No paths selected.");
+      return;
+    }
+
+    const entries = selections.map((sel) => ({
+      ...sel,
+      instructions: details.get(sel.path)?.instructions,
+      content: details.get(sel.path)?.content,
+      dependsOn: dependencies.get(sel.path),
+    }));
+    const pending = entries.filter(
+      (entry) => entry.pathKind === "file" && typeof entry.content !== "string"
+    );
+
+    let generate = false;
+    if (pending.length) {
+      const choice = await vscode.window.showQuickPick(
+        [
+          {
+            label: "Generate contents with AI",
+            description: `${pending.length} file(s) have no content in the manifest`,
+            value: "ai",
+          },
+          { label: "Create empty files", value: "empty" },
+        ],
+        { placeHolder: "Files without content" }
+      );
+      if (!choice) return;
+      generate = choice.value === "ai";
+    }
+
+    transaction = createTransaction("Apply Plan Manifest", manifestName);
+    const prepared = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: `Applying ${manifestName}...`,
+        cancellable: false,
+      },
+      () =>
+        createPathArtifacts(
+          baseUri,
+          generate ? entries.filter((entry) => !pending.includes(entry)) : entries,
+          { transaction }
+        )
+    );
+    const model = generate ? getAIModel() : undefined;
+    const generation = generate
+      ? await generateProjectFiles(baseUri, pending, {
+          model,
+          instructions: manifest.instructions ?? "",
+          existingPathsSummary: await buildExistingPathsSummary(baseUri),
+          run,
+          dependencies,
+        })
+      : { changes: [], skipped: [], failures: [], generated: [], cancelled: [] };
+
+    await writeGeneratedFiles("Apply Plan Manifest", generation, run, {
+      created: prepared.created,
+      skipped: prepared.skipped,
+      failures: prepared.failed,
+      transaction,
+      verify: generate ? { model, instructions: manifest.instructions ?? "" } : undefined,
+      saveManifest: () =>
+        savePlanManifest(baseUri, {
+          instructions: manifest.instructions,
+          entries: entries.map((entry) => ({
+            ...entry,
+            content: entry.content ?? generation.generated.find((item) => item.path === entry.path)?.content,
+          })),
+        }),
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error instanceof Error ? error.message : String(error)}`);
+  } finally {
+    await commitGeneration(transaction);
+    await finishRun(run);
+  }
+}
+
+export default applyPlanManifest;
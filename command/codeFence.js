@@ -0,0 +1,69 @@
+const FENCE = "```";
+
+/**
+ * Strip a Markdown code fence from text that arrives in pieces, the way
+ * extractCodeFromText does for a whole answer: once an opening fence line
+ * shows up, only the lines inside it are kept. Text streamed before the
+ * fence is taken back with `reset`; everything after the closing fence is
+ * dropped. Only used for live display; the final answer still goes through
+ * extractCodeFromText.
+ * @returns {{
+ *   push: (delta: string) => { text: string; reset: boolean };
+ *   end: () => { text: string; reset: boolean };
+ * }}
+ */
+export function createFenceStripper() {
+  /** @type {"before" | "inside" | "after"} */
+  let state = "before";
+  let buffer = "";
+  let atLineStart = true;
+  let emitted = false;
+
+  const take = (final) => {
+    let text = "";
+    let reset = false;
+    while (buffer) {
+      if (atLineStart) {
+        const newline = buffer.indexOf("\n");
+        // Not enough yet to tell whether this line is a fence
+        if (!final && newline === -1 && FENCE.startsWith(buffer)) break;
+        if (buffer.startsWith(FENCE) && state !== "after") {
+          if (newline === -1 && !final) break;
+          const isOpening = /^```[a-zA-Z0-9]*\r?\n$/.test(buffer.slice(0, newline + 1));
+          if (state === "before" && isOpening) {
+            reset = reset || emitted;
+            emitted = false;
+            text = "";
+            state = "inside";
+            buffer = buffer.slice(newline + 1);
+            continue;
+          }
+          if (state === "inside") {
+            state = "after";
+            buffer = "";
+            break;
+          }
+        }
+        atLineStart = false;
+      }
+      const newline = buffer.indexOf("\n");
+      const chunk = newline === -1 ? buffer : buffer.slice(0, newline + 1);
+      buffer = buffer.slice(chunk.length);
+      atLineStart = newline !== -1;
+      if (state !== "after") {
+        text += chunk;
+        emitted = true;
+      }
+    }
+    return { text, reset };
+  };
+
+  return {
+    push(delta) {
+      if (state === "after") return { text: "", reset: false };
+      buffer += delta;
+      return take(false);
+    },
+    end: () => take(true),
+  };
+}
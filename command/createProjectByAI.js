@@ -1,14 +1,38 @@
 import * as vscode from "vscode";
 import * as path from "path";
 
-import { getGlobalAI } from "../config/ai.js";
+import { getAIModel } from "../config/ai.js";
+import { requestChat, getRequestSettings } from "../config/request.js";
+import { mapWithConcurrency } from "../config/concurrency.js";
+import { startRun, finishRun } from "../config/usage.js";
 import {
   buildExistingPathsSummary,
+  resolveBaseFolder,
+  formatExistingPaths,
+  resolvePlanPath,
   requestPathPlan,
+  createPlanRefiner,
   coerceGeneratedPaths,
 } from "./generatePaths.js";
+import { openPlanEditor } from "./planEditor.js";
+import { savePlanManifest } from "./applyPlanManifest.js";
+import {
+  reviewAndApplyGeneratedFiles,
+  createStreamingPreviews,
+  isStreamToEditorEnabled,
+} from "./generationReview.js";
+import { commitGeneration } from "./generationHistory.js";
+import {
+  collectDependencies,
+  dependencyIndexes,
+  formatDependencyContext,
+  renameDependencies,
+} from "./generationOrder.js";
+import { createTransaction } from "./generationTransaction.js";
+import { verifyGeneratedFiles } from "./generationVerify.js";
+import { describeVerification } from "./verification.js";
 
-const FALLBACK_MODEL = "gpt-4.1-mini";
+const SAVE_MANIFEST = "Save Plan Manifest";
 
 /**
  * Extract code content from an AI response.
@@ -23,8 +47,20 @@ export function extractCodeFromText(text) {
 
 /**
  * Ask AI to generate the full file content for a given relative file path.
+ * Throws when the request fails so no placeholder file is written.
+ * requestOptions: { run, signal, stream } — signal aborts the request (cancel
+ * button); stream receives the answer while it is written
+ * dependencies: files this file uses, already generated or on disk; their
+ * contents (or signatures) are included so imports and names match
  */
-async function requestFileContent(model, instructions, existingPathsSummary, relativeFilePath) {
+export async function requestFileContent(
+  model,
+  instructions,
+  existingPathsSummary,
+  relativeFilePath,
+  requestOptions = {},
+  dependencies = []
+) {
   const ext = path.extname(relativeFilePath).replace(/^\./, "");
   const systemPrompt = `คุณเป็นผู้ช่วย AI สำหรับสร้างไฟล์โค้ดแบบครบถ้วน ถูกต้อง และพร้อมใช้งาน
 
@@ -35,41 +71,33 @@ async function requestFileContent(model, instructions, existingPathsSummary, rel
 - ไม่ใส่คำอธิบายอื่น ๆ ที่ไม่ใช่โค้ดในเอาต์พุต
 - หากใช้โค้ดบล็อก ให้ห่อด้วย \`\`\` และภาษาให้ตรงกับชนิดไฟล์`;
 
+  const dependencyContext = formatDependencyContext(dependencies);
   const userPrompt = `สร้างไฟล์สำหรับ path: ${relativeFilePath}
 ตามข้อกำหนดต่อไปนี้: ${instructions}
 
-โครงสร้างที่มีใน workspace (บางส่วน):
-- ไดเรกทอรี: ${existingPathsSummary.directories.slice(0, 20).join(", ")}${
-    existingPathsSummary.directories.length > 20 ? "..." : ""
-  }
-
+โครงสร้างที่มีใน workspace:
+\`\`\`
+${formatExistingPaths(existingPathsSummary)}
+\`\`\`
+${dependencyContext ? `
+ไฟล์ที่ไฟล์นี้ใช้งาน (มีอยู่แล้ว ให้ import path และชื่อที่ export ให้ตรงกับไฟล์เหล่านี้):
+${dependencyContext}
+` : ""}
 เอาต์พุตเป็นเนื้อหาไฟล์เท่านั้น`;
 
-  try {
-    const client = getGlobalAI();
-    const response = await client.chat.completions.create({
-      model: model,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      temperature: 0.1,
-      max_tokens: 3500,
-    });
-
-    const content = response.choices?.[0]?.message?.content || "";
-    return extractCodeFromText(content);
-  } catch (error) {
-    console.warn(`AI content generation failed for ${relativeFilePath}: ${error instanceof Error ? error.message : String(error)}`);
-    // Fallback stub content
-    const header = `// Auto-generated by AI for ${relativeFilePath}\n// Instruction: ${instructions}\n`;
-    return header + "\n";
-  }
-}
-
-async function ensureParentDir(uri) {
-  const parent = vscode.Uri.joinPath(uri, "..");
-  await vscode.workspace.fs.createDirectory(parent);
+  const response = await requestChat({
+    model: model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ],
+    temperature: 0.1,
+    maxTokens: 3500,
+    signal: requestOptions.signal,
+    stream: requestOptions.stream,
+  }, { run: requestOptions.run });
+
+  return extractCodeFromText(response.content);
 }
 
 async function exists(uri) {
@@ -81,20 +109,236 @@ async function exists(uri) {
   }
 }
 
+/**
+ * Contents of the files a file depends on: generated earlier in the same run
+ * (`produced`, by plan path) or read from disk. Missing and binary files are
+ * left out.
+ * @param {vscode.Uri} baseUri
+ * @param {string[]} planPaths
+ * @param {Map<string, string>} produced
+ * @returns {Promise<Array<{ path: string; content: string }>>}
+ */
+export async function readDependencyFiles(baseUri, planPaths, produced) {
+  const files = [];
+  for (const planPath of planPaths) {
+    let content = produced.get(planPath);
+    if (content === undefined) {
+      try {
+        content = Buffer.from(
+          await vscode.workspace.fs.readFile(resolvePlanPath(baseUri, planPath))
+        ).toString("utf8");
+      } catch {
+        continue;
+      }
+    }
+    if (!content.includes("\u0000")) {
+      files.push({ path: planPath, content });
+    }
+  }
+  return files;
+}
+
+/**
+ * Produce the contents of the given files under baseUri without writing
+ * them. An entry's `content` is used as is; otherwise the AI writes the file
+ * from the instructions plus the entry's own `instructions`. Existing files
+ * are skipped unless includeExisting is set.
+ * Up to `ai.request.concurrency` files are generated at once. Cancelling the
+ * progress notification aborts the requests in flight; the files left
+ * without content are listed in `cancelled`. With `ai.streamToEditor` each
+ * file is shown in a read-only editor while the AI writes it.
+ * With `dependencies` (plan path -> paths it uses), a file is generated after
+ * the files it uses, and their contents go into its prompt.
+ * @param {vscode.Uri} baseUri
+ * @param {Array<{ path: string; instructions?: string; content?: string }>} files
+ * @param {{ model: string; instructions: string; existingPathsSummary: any; includeExisting?: boolean; run?: any; dependencies?: Map<string, string[]> }} options
+ */
+export async function generateProjectFiles(baseUri, files, options) {
+  /** @type {import("./generationReview.js").GeneratedChange[]} */
+  const changes = [];
+  const skipped = [];
+  const failures = [];
+  /** @type {Array<{ path: string; content: string }>} */
+  const generated = [];
+  const cancelled = [];
+
+  await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Generating files...",
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const controller = new AbortController();
+      const cancellation = token.onCancellationRequested(() => controller.abort());
+      const streaming = isStreamToEditorEnabled() ? createStreamingPreviews() : undefined;
+      const total = files.length;
+      let done = 0;
+      /** Contents generated so far, for the files that depend on them */
+      const produced = new Map();
+
+      const generateOne = async (sel) => {
+        try {
+          const target = resolvePlanPath(baseUri, sel.path);
+
+          const fileExists = await exists(target);
+          if (fileExists && !options.includeExisting) {
+            return { skipped: true };
+          }
+
+          let content = sel.content;
+          if (typeof content === "string") {
+            produced.set(sel.path, content);
+            return { change: { path: sel.path, uri: target, content, exists: fileExists } };
+          }
+          const instructions = [options.instructions, sel.instructions]
+            .filter((text) => text && text.trim())
+            .join("\n\nFor this file: ");
+          content = await requestFileContent(
+            options.model,
+            instructions || `Create ${sel.path}`,
+            options.existingPathsSummary,
+            sel.path,
+            { run: options.run, signal: controller.signal, stream: streaming?.open(target) },
+            await readDependencyFiles(baseUri, options.dependencies?.get(sel.path) ?? [], produced)
+          );
+          produced.set(sel.path, content);
+          return { change: { path: sel.path, uri: target, content, exists: fileExists }, written: true };
+        } catch (error) {
+          if (controller.signal.aborted) {
+            return { cancelled: true };
+          }
+          throw error;
+        } finally {
+          done += 1;
+          progress.report({ increment: 100 / total, message: `${done}/${total} ${sel.path}` });
+        }
+      };
+
+      try {
+        const results = await mapWithConcurrency(
+          files,
+          getRequestSettings().concurrency,
+          generateOne,
+          controller.signal,
+          dependencyIndexes(
+            files.map((sel) => sel.path),
+            options.dependencies
+          )
+        );
+        results.forEach((result, index) => {
+          const sel = files[index];
+          if (!result || (result.status === "fulfilled" && result.value.cancelled)) {
+            cancelled.push(sel.path);
+          } else if (result.status === "rejected") {
+            const error = result.reason;
+            failures.push({ path: sel.path, error: error instanceof Error ? error.message : String(error) });
+          } else if (result.value.skipped) {
+            skipped.push(sel.path);
+          } else {
+            changes.push(result.value.change);
+            if (result.value.written) {
+              generated.push({ path: sel.path, content: result.value.change.content });
+            }
+          }
+        });
+      } finally {
+        cancellation.dispose();
+        await streaming?.close();
+      }
+    }
+  );
+
+  return { changes, skipped, failures, generated, cancelled };
+}
+
+/**
+ * Review the output of generateProjectFiles, write the accepted files and
+ * show the outcome (a partial one when generation was cancelled). When the AI wrote any file, the message offers to save
+ * the plan with those contents as a manifest. With `extra.verify` and
+ * `ai.verify.enabled`, the written files are checked and repaired first; the
+ * repaired contents replace the generated ones in `generation.generated`.
+ * @param {string} label command name shown in the review and the message
+ * @param {Awaited<ReturnType<typeof generateProjectFiles>>} generation
+ * @param {any} run usage run of the command
+ * @param {{ created?: string[]; skipped?: string[]; failures?: Array<{ path: string; error: string }>; saveManifest?: () => Promise<unknown>; transaction?: import("./generationTransaction.js").GenerationTransaction; verify?: { model: string; instructions: string } }} [extra]
+ *   paths already written by the caller, the manifest callback, the
+ *   transaction recording the run for Undo Last Generation and what the
+ *   repair requests of the verification need
+ */
+export async function writeGeneratedFiles(label, generation, run, extra = {}) {
+  const review = await reviewAndApplyGeneratedFiles(generation.changes, {
+    title: `${label}: review generated files`,
+    transaction: extra.transaction,
+  });
+
+  const created = [...(extra.created ?? []), ...review.created];
+  const skipped = [...(extra.skipped ?? []), ...generation.skipped];
+  const failures = [...(extra.failures ?? []), ...generation.failures];
+
+  const written = [...review.created, ...review.overwritten];
+  const verification = extra.verify
+    ? await verifyGeneratedFiles(
+        generation.changes.filter((change) => written.includes(change.path)),
+        { ...extra.verify, run, transaction: extra.transaction }
+      )
+    : undefined;
+  if (verification) {
+    for (const item of generation.generated) {
+      item.content = verification.contents.get(item.path) ?? item.content;
+    }
+    if (verification.commandFailure) {
+      failures.push({ path: "ai.verify.command", error: verification.commandFailure });
+    }
+  }
+
+  const parts = [];
+  if (created.length) parts.push(`Created ${created.length}`);
+  if (review.overwritten.length) parts.push(`Overwritten ${review.overwritten.length}`);
+  if (skipped.length) parts.push(`Skipped ${skipped.length}`);
+  if (generation.cancelled.length) {
+    parts.push(`Cancelled, ${generation.cancelled.length} file(s) not generated`);
+  }
+  if (review.rejected.length) {
+    parts.push(review.cancelled ? `Review cancelled, nothing written` : `Rejected ${review.rejected.length}`);
+  }
+  if (verification) parts.push(`Verification: ${describeVerification(verification)}`);
+  const usageSummary = await finishRun(run);
+  if (usageSummary) parts.push(`AI usage: ${usageSummary}`);
+  const summary = parts.length ? parts.join(", ") : "No changes";
+
+  const actions = extra.saveManifest && generation.generated.length ? [SAVE_MANIFEST] : [];
+  const shown = failures.length
+    ? vscode.window.showErrorMessage(
+        `${label}: ${summary}. Failed:\n${failures.map((f) => `${f.path}: ${f.error}`).join("\n")}`,
+        ...actions
+      )
+    : vscode.window.showInformationMessage(`${label}: ${summary}.`, ...actions);
+  void shown.then(async (choice) => {
+    if (choice !== SAVE_MANIFEST) return;
+    try {
+      await extra.saveManifest();
+    } catch (error) {
+      vscode.window.showErrorMessage(`Could not save the plan manifest: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  });
+}
+
 /**
  * Main command: Create Project By AI
  * - Generates a set of file paths via AI (like generatePaths)
  * - Generates file contents for selected files
- * - Writes files to disk (skips existing by default)
+ * - Shows each file as a preview or diff and writes the accepted ones
+ * @param {vscode.ExtensionContext} context
+ * @param {{ baseUri?: vscode.Uri }} [args] baseUri: folder to generate into (Explorer "Create Files By AI Here")
  */
-export async function createProjectByAI() {
+export async function createProjectByAI(context, args = {}) {
+  const run = startRun("createProjectByAI");
+  let transaction;
   try {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
-      vscode.window.showErrorMessage("No workspace folder is open");
-      return;
-    }
-    const workspaceFolder = workspaceFolders[0];
+    const target = await resolveBaseFolder(args?.baseUri);
+    if (!target) return;
+    const { baseUri } = target;
 
     const instructions = await vscode.window.showInputBox({
       prompt: "Describe the project/files you want to generate",
@@ -106,13 +350,9 @@ export async function createProjectByAI() {
       return;
     }
 
-    const config = vscode.workspace.getConfiguration();
-    const model = config.get("ai.model") || FALLBACK_MODEL;
+    const model = getAIModel();
 
-    const existingPathsSummary = await buildExistingPathsSummary(
-      workspaceFolder,
-      100
-    );
+    const existingPathsSummary = await buildExistingPathsSummary(baseUri);
 
     let responsePayload;
     await vscode.window.withProgress(
@@ -126,7 +366,9 @@ export async function createProjectByAI() {
         responsePayload = await requestPathPlan(
           model,
           instructions.trim(),
-          existingPathsSummary
+          existingPathsSummary,
+          undefined,
+          { run }
         );
         progress.report({ increment: 100 });
       }
@@ -138,96 +380,75 @@ export async function createProjectByAI() {
       vscode.window.showInformationMessage("No file paths proposed by AI.");
       return;
     }
-
-    const quickPickItems = fileCandidates.map((item) => ({
-      label: item.path,
-      description: "📄 File",
-      picked: true,
-      path: item.path,
-    }));
-
-    const selections = await vscode.window.showQuickPick(quickPickItems, {
-      canPickMany: true,
-      placeHolder: "Select files to generate",
+    // Which files use which, so used files are generated (and shown) first
+    const dependencies = collectDependencies(new Map(), fileCandidates);
+
+    const selections = await openPlanEditor(context, fileCandidates, {
+      title: existingPathsSummary.base
+        ? `Review files to generate in ${existingPathsSummary.base}`
+        : "Review files to generate",
+      baseUri,
+      confirmLabel: "Generate",
+      allowDirectories: false,
+      manifest: { instructions: instructions.trim(), dependencies },
+      onRename: (renamed) => renameDependencies(dependencies, renamed),
+      refine: createPlanRefiner(
+        model,
+        instructions.trim(),
+        existingPathsSummary,
+        undefined,
+        { run },
+        (item) => item.pathKind === "file",
+        dependencies
+      ),
     });
-    if (!selections || selections.length === 0) {
+    if (!selections) return;
+    if (selections.length === 0) {
       vscode.window.showInformationMessage("No files selected.");
       return;
     }
 
-    const overwriteChoice = await vscode.window.showQuickPick(
+    const existingChoice = await vscode.window.showQuickPick(
       [
         { label: "Skip existing files", value: "skip" },
-        { label: "Overwrite all existing files", value: "overwrite" },
+        {
+          label: "Regenerate existing files",
+          description: "each change is shown as a diff before it is written",
+          value: "include",
+        },
       ],
       { placeHolder: "When a file already exists..." }
     );
-    const overwriteAll = overwriteChoice?.value === "overwrite";
-
-    const created = [];
-    const skipped = [];
-    const overwritten = [];
-    const failures = [];
-
-    await vscode.window.withProgress(
-      {
-        location: vscode.ProgressLocation.Notification,
-        title: "Generating files...",
-        cancellable: false,
-      },
-      async (progress) => {
-        const total = selections.length;
-        let done = 0;
-
-        for (const sel of selections) {
-          try {
-            const target = vscode.Uri.joinPath(workspaceFolder.uri, sel.path);
-            await ensureParentDir(target);
-
-            const fileExists = await exists(target);
-            if (fileExists && !overwriteAll) {
-              skipped.push(sel.path);
-              done += 1;
-              progress.report({ increment: Math.floor((done / total) * 100) });
-              continue;
-            }
-
-            const content = await requestFileContent(
-              model,
-              instructions.trim(),
-              existingPathsSummary,
-              sel.path
-            );
-
-            const buffer = Buffer.from(content, "utf8");
-            await vscode.workspace.fs.writeFile(target, buffer);
-
-            if (fileExists) overwritten.push(sel.path);
-            else created.push(sel.path);
-
-            done += 1;
-            progress.report({ increment: Math.floor((done / total) * 100) });
-          } catch (error) {
-            failures.push({ path: sel.path, error: error instanceof Error ? error.message : String(error) });
-          }
-        }
-      }
-    );
+    if (!existingChoice) return;
+
+    const generation = await generateProjectFiles(baseUri, selections, {
+      model,
+      instructions: instructions.trim(),
+      existingPathsSummary,
+      includeExisting: existingChoice.value === "include",
+      run,
+      dependencies,
+    });
 
-    const parts = [];
-    if (created.length) parts.push(`Created ${created.length}`);
-    if (overwritten.length) parts.push(`Overwritten ${overwritten.length}`);
-    if (skipped.length) parts.push(`Skipped ${skipped.length}`);
-    const summary = parts.length ? parts.join(", ") : "No changes";
-
-    if (failures.length) {
-      const details = failures.map((f) => `${f.path}: ${f.error}`).join("\n");
-      vscode.window.showErrorMessage(`Create Project By AI: ${summary}. Failed:\n${details}`);
-    } else {
-      vscode.window.showInformationMessage(`Create Project By AI: ${summary}.`);
-    }
+    transaction = createTransaction("Create Project By AI", instructions);
+    await writeGeneratedFiles("Create Project By AI", generation, run, {
+      transaction,
+      verify: { model, instructions: instructions.trim() },
+      saveManifest: () =>
+        savePlanManifest(baseUri, {
+          instructions: instructions.trim(),
+          entries: selections.map((sel) => ({
+            ...sel,
+            content: generation.generated.find((item) => item.path === sel.path)?.content,
+            dependsOn: dependencies.get(sel.path),
+          })),
+        }),
+    });
   } catch (error) {
     vscode.window.showErrorMessage(`Error: ${error instanceof Error ? error.message : String(error)}`);
+  } finally {
+    await commitGeneration(transaction);
+    await finishRun(run);
   }
 }
 
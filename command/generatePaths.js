@@ -1,66 +1,200 @@
 import * as vscode from "vscode";
 import * as path from "path";
 
-import { getGlobalAI } from "../config/ai.js";
+import { getAIModel } from "../config/ai.js";
+import { requestChat } from "../config/request.js";
+import { startRun, finishRun } from "../config/usage.js";
+import { openPlanEditor } from "./planEditor.js";
+import { splitRootPath } from "./planValidator.js";
+import {
+  sanitizeScaffoldTemplates,
+  matchScaffoldTemplate,
+  scaffoldPlan,
+} from "./scaffoldTemplates.js";
+import { requestFileContent } from "./createProjectByAI.js";
+import { summarizeWorkspace } from "./workspaceIndex.js";
+import { commitGeneration, recordNewDirectories } from "./generationHistory.js";
+import { collectDependencies } from "./generationOrder.js";
+import { createTransaction, recordFile } from "./generationTransaction.js";
 
-const FALLBACK_MODEL = "gpt-4.1-mini";
-const EXISTING_PATH_LIMIT = 100;
+/**
+ * โหมดของ Generate Paths -> options ของ requestPathPlan
+ * ใช้ได้ทั้งจาก UI และ argument ของคำสั่ง เช่น
+ * executeCommand("extension.generatePaths", { mode: "files", content: "ai" })
+ */
+const PATH_MODES = {
+  both: { path: true, file: true },
+  directories: { path: true, file: false },
+  files: { path: false, file: true },
+};
+
+const MODE_ITEMS = [
+  { label: "📁📄 Directories and files", value: "both" },
+  { label: "📁 Directories only", value: "directories" },
+  { label: "📄 Files only", value: "files" },
+];
+
+const CONTENT_ITEMS = [
+  { label: "Empty files", description: "Create the files without content", value: "empty" },
+  {
+    label: "AI starter content",
+    description: "Ask the AI to write each new file (uses more tokens)",
+    value: "ai",
+  },
+];
 
 /**
- * สรุป path ที่มีอยู่ใน workspace
+ * สรุป path ที่มีอยู่ภายใต้ baseUri จาก index ที่เคารพ .gitignore / files.exclude
+ * (ดู workspaceIndex.js) พร้อม tree แบบย่อที่จำกัดตาม ai.index.tokenBudget
+ * @param {vscode.Uri} baseUri workspace folder หรือโฟลเดอร์ย่อยที่จะสร้าง path ลงไป
  */
-async function buildExistingPathsSummary(workspaceFolder, limit) {
+async function buildExistingPathsSummary(baseUri) {
   try {
-    const files = await vscode.workspace.findFiles(
-      "**/*",
-      "{node_modules,dist,out,.git}/**",
-      limit
-    );
-
-    const directories = new Set();
-    const filePaths = [];
+    return await summarizeWorkspace(baseUri);
+  } catch {
+    return { directories: [], files: [], total: 0, tree: "", base: "", root: "", roots: [] };
+  }
+}
 
-    for (const file of files) {
-      const relativePath = vscode.workspace.asRelativePath(file);
-      filePaths.push(relativePath);
+/**
+ * โฟลเดอร์ฐานสำหรับสร้าง path: โฟลเดอร์ที่คลิกใน Explorer (ถ้ามี)
+ * ถ้าไม่มีและเปิดหลาย workspace folder ให้ผู้ใช้เลือก โดยเสนอ folder
+ * ของ editor ที่เปิดอยู่เป็นตัวเลือกแรก
+ * แสดง error และคืน undefined ถ้าใช้ไม่ได้หรือผู้ใช้ยกเลิก
+ * @param {vscode.Uri} [baseUri]
+ * @returns {Promise<{ workspaceFolder: vscode.WorkspaceFolder; baseUri: vscode.Uri } | undefined>}
+ */
+async function resolveBaseFolder(baseUri) {
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  if (!workspaceFolders || workspaceFolders.length === 0) {
+    vscode.window.showErrorMessage("No workspace folder is open");
+    return undefined;
+  }
 
-      // เก็บ directories ที่เจอ
-      const dir = path.dirname(relativePath);
-      if (dir !== ".") {
-        directories.add(dir);
-      }
+  if (!baseUri) {
+    if (workspaceFolders.length === 1) {
+      return { workspaceFolder: workspaceFolders[0], baseUri: workspaceFolders[0].uri };
     }
 
-    const dirList = Array.from(directories).sort();
-    const fileList = filePaths.sort();
+    const activeUri = vscode.window.activeTextEditor?.document.uri;
+    const activeFolder = activeUri && vscode.workspace.getWorkspaceFolder(activeUri);
+    const isActive = (folder) =>
+      Boolean(activeFolder) && folder.uri.toString() === activeFolder.uri.toString();
+    const items = [...workspaceFolders]
+      .sort((a, b) => Number(isActive(b)) - Number(isActive(a)))
+      .map((folder) => ({
+        label: folder.name,
+        description: isActive(folder) ? "active editor" : "",
+        detail: folder.uri.fsPath,
+        folder,
+      }));
+    const pick = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select the workspace folder to generate into",
+      ignoreFocusOut: true,
+    });
+    return pick ? { workspaceFolder: pick.folder, baseUri: pick.folder.uri } : undefined;
+  }
 
-    return {
-      directories: dirList,
-      files: fileList,
-      total: dirList.length + fileList.length,
-    };
-  } catch {
-    return { directories: [], files: [], total: 0 };
+  const workspaceFolder = vscode.workspace.getWorkspaceFolder(baseUri);
+  if (!workspaceFolder) {
+    vscode.window.showErrorMessage(
+      `${baseUri.fsPath} is not inside an open workspace folder`
+    );
+    return undefined;
   }
+  return { workspaceFolder, baseUri };
 }
 
 /**
- * ขอแผน path จาก AI
+ * แปลงสรุป path เป็นข้อความสำหรับ prompt
+ * ใช้ tree แบบย่อถ้ามี ไม่เช่นนั้นใช้รายการ directories/files
+ */
+function formatExistingPaths(existingPathsSummary) {
+  const lines = existingPathsSummary?.tree
+    ? [existingPathsSummary.tree]
+    : [
+        ...(existingPathsSummary?.directories || []).map((dir) => `${dir}/`),
+        ...(existingPathsSummary?.files || []),
+      ];
+  const listing = lines.length ? lines.join("\n") : "(ว่าง)";
+  const location = [
+    existingPathsSummary?.roots?.length > 1 ? `workspace folder ${existingPathsSummary.root}` : "",
+    existingPathsSummary?.base ? `โฟลเดอร์ ${existingPathsSummary.base}/` : "",
+  ].filter(Boolean);
+  return location.length ? `(ภายใน ${location.join(", ")})\n${listing}` : listing;
+}
+
+/**
+ * วางแผนจาก ai.scaffoldTemplates (โหมด offline) โดยไม่เรียก AI
+ * เลือก template ที่ตรงกับคำสั่งมากที่สุด ถ้าไม่มี template ที่ตรงจะ throw error
+ */
+function planFromScaffoldTemplates(instructions, options) {
+  const templates = sanitizeScaffoldTemplates(
+    vscode.workspace.getConfiguration("ai").get("scaffoldTemplates", [])
+  );
+  if (templates.length === 0) {
+    throw new Error(
+      "Offline planning (ai.offlinePlanning) needs at least one template in ai.scaffoldTemplates"
+    );
+  }
+
+  const template = matchScaffoldTemplate(templates, instructions);
+  if (!template) {
+    throw new Error(
+      `No scaffold template matches the instructions. Templates: ${templates
+        .map((item) => `${item.name} (${item.match.join(", ")})`)
+        .join("; ")}`
+    );
+  }
+  vscode.window.setStatusBarMessage(`Planned from scaffold template "${template.name}"`, 5000);
+  return scaffoldPlan(template, options);
+}
+
+/**
+ * ขอแผน path จาก AI (หรือจาก scaffold template ในเครื่องเมื่อเปิด ai.offlinePlanning)
  */
 // options: { path: boolean, file: boolean } controls which kinds to include
 // - path=true  => include directories
 // - file=true  => include files
 // Defaults to both true for backward compatibility
+// options.history: รอบการปรับแผน [{ plan, followUp }] ส่งต่อเป็นบทสนทนาหลังคำสั่งแรก
+// requestOptions: { run } ส่งต่อให้ requestChat เพื่อบันทึก token usage
 async function requestPathPlan(
   model,
   instructions,
   existingPathsSummary,
-  options = { path: true, file: true }
+  options = { path: true, file: true },
+  requestOptions = {}
 ) {
   // Normalize options defensively
   const wantDir = options && typeof options.path === "boolean" ? options.path : true;
   const wantFile = options && typeof options.file === "boolean" ? options.file : true;
 
+  const history = Array.isArray(options?.history) ? options.history : [];
+
+  if (vscode.workspace.getConfiguration("ai").get("offlinePlanning", false)) {
+    if (history.length) {
+      throw new Error("Refining a plan needs the AI; turn off ai.offlinePlanning");
+    }
+    return planFromScaffoldTemplates(instructions, { path: wantDir, file: wantFile });
+  }
+
+  let baseRule = existingPathsSummary?.base
+    ? `\n10. **โฟลเดอร์ฐาน**: ทุก path จะถูกสร้างภายใต้ \`${existingPathsSummary.base}/\` ให้ตอบเป็น path ที่ relative กับโฟลเดอร์นี้ (ห้ามขึ้นต้นด้วย ${existingPathsSummary.base}/)`
+    : "";
+  const otherRoots = (existingPathsSummary?.roots || []).filter(
+    (name) => name !== existingPathsSummary.root
+  );
+  if (otherRoots.length) {
+    baseRule += `\n11. **Multi-root**: path ปกติจะถูกสร้างใน workspace folder \`${existingPathsSummary.root}\` ถ้าจำเป็นต้องสร้างใน workspace folder อื่น (${otherRoots.join(", ")}) ให้ใช้รูปแบบ \`root:path\` เช่น \`${otherRoots[0]}:src/index.js\``;
+  }
+
+  const dependencyRule = wantFile
+    ? `
+
+"dependencies" (ไม่บังคับ): สำหรับแต่ละไฟล์ในแผน ระบุไฟล์ที่มัน import หรือเรียกใช้ (เฉพาะไฟล์ในแผนนี้หรือไฟล์ที่มีอยู่แล้ว) ระบบจะสร้างไฟล์ที่ถูกใช้ก่อน แล้วส่งเนื้อหาให้ไฟล์ที่ใช้งาน เพื่อให้ชื่อ export และ path ที่ import ตรงกัน`
+    : "";
+
   let typeRule = "ให้รวมทั้งไดเรกทอรีและไฟล์";
   if (wantDir && !wantFile) typeRule = "ให้รวมเฉพาะไดเรกทอรีเท่านั้น (ห้ามมีไฟล์)";
   if (!wantDir && wantFile) typeRule = "ให้รวมเฉพาะไฟล์เท่านั้น (ห้ามมีไดเรกทอรี)";
@@ -72,9 +206,10 @@ async function requestPathPlan(
 - พิจารณาโครงสร้าง workspace ปัจจุบันเพื่อหลีกเลี่ยงการซ้ำซ้อน
 - สร้างโครงสร้างที่สอดคล้องกับ best practices ของภาษาโปรแกรมและเฟรมเวิร์กที่เกี่ยวข้อง
 
-## ข้อมูล workspace ปัจจุบัน:
-- ไดเรกทอรีที่มีอยู่: ${existingPathsSummary.directories.slice(0, 20).join(", ")}${existingPathsSummary.directories.length > 20 ? "..." : ""}
-- ไฟล์ที่มีอยู่: ${existingPathsSummary.files.slice(0, 10).join(", ")}${existingPathsSummary.files.length > 10 ? "..." : ""}
+## ข้อมูล workspace ปัจจุบัน (โฟลเดอร์ที่ยุบไว้แสดงจำนวนไฟล์ในวงเล็บ):
+\`\`\`
+${formatExistingPaths(existingPathsSummary)}
+\`\`\`
 - จำนวนทั้งหมด: ${existingPathsSummary.total} paths
 
 ## กฎเกณฑ์ที่ต้องปฏิบัติตามอย่างเคร่งครัด:
@@ -86,15 +221,18 @@ async function requestPathPlan(
 6. **การตั้งชื่อ**: ใช้ชื่อที่สื่อความหมายและสอดคล้องกับ convention ของภาษา/เฟรมเวิร์ก
 7. **โครงสร้าง**: สร้างโครงสร้างที่มีลำดับชั้นที่เหมาะสม
 8. ให้สร้างไฟล์ที่ถูก import ทั้งหมด
-9. ใช้กับไฟล์ที่มีอยู่ร่วมด้วยถ้าจำเป็น
+9. ใช้กับไฟล์ที่มีอยู่ร่วมด้วยถ้าจำเป็น${baseRule}
 
 ## รูปแบบการตอบกลับที่ถูกต้อง:
 \`\`\`json
 {
   "paths": ["src/components", "src/utils"],
-  "files": ["src/components/Header.jsx", "src/utils/helpers.js"]
+  "files": ["src/components/Header.jsx", "src/utils/helpers.js"],
+  "dependencies": {
+    "src/components/Header.jsx": ["src/utils/helpers.js"]
+  }
 }
-\`\`\`
+\`\`\`${dependencyRule}
 
 หรือถ้ามีเฉพาะประเภทเดียว:
 \`\`\`json
@@ -137,11 +275,24 @@ ${instructions}
 4. สร้างโครงสร้างที่มีลำดับชั้นที่เหมาะสม
 5. ใช้ชื่อไฟล์และโฟลเดอร์ที่สื่อความหมาย
 
-กรุณาสร้างโครงสร้าง path ที่เหมาะสมและตอบกลับด้วย JSON object ที่มีเฉพาะ paths และ files เท่านั้น`;
+กรุณาสร้างโครงสร้าง path ที่เหมาะสมและตอบกลับด้วย JSON object ที่มีเฉพาะ paths, files และ dependencies เท่านั้น`;
 
   try {
-    // เรียก AI API (จำลองการเรียก)
-    const response = await callAIAPI(model, systemPrompt, userPrompt);
+    const response = await callAIAPI(
+      model,
+      systemPrompt,
+      userPrompt,
+      requestOptions,
+      history.flatMap((round) => [
+        { role: "assistant", content: JSON.stringify(planToPayload(round.plan)) },
+        {
+          role: "user",
+          content: `ปรับแผนล่าสุดตามคำสั่งนี้: ${round.followUp}
+
+ตอบกลับด้วยแผนฉบับเต็มที่แก้ไขแล้ว (ทุก path ที่ต้องการ ไม่ใช่เฉพาะส่วนที่เปลี่ยน) เป็น JSON object ที่มี paths, files และ dependencies ตามกฎเดิม`,
+        },
+      ])
+    );
     return parseJSONResponse(response);
   } catch (error) {
     throw new Error(`AI API Error: ${error.message}`);
@@ -149,63 +300,75 @@ ${instructions}
 }
 
 /**
- * เรียก AI API จริงผ่าน OpenAI client
+ * สร้างฟังก์ชันปรับแผนแบบสนทนาสำหรับ plan editor
+ * แต่ละรอบส่งแผนปัจจุบัน (ที่ผู้ใช้อาจแก้ไขแล้ว) กับคำสั่งเพิ่มเติมต่อท้ายบทสนทนาเดิม
+ * keep: กรองชนิดของ path ที่ได้ เหมือนผลของแผนแรก
+ * dependencies: Map (path -> paths) ที่จะรวม dependencies ของแผนที่ปรับแล้วเข้าไป
+ * @returns {(followUp: string, plan: Array<{ path: string; pathKind: string }>) => Promise<Array<{ path: string; pathKind: string }>>}
  */
-async function callAIAPI(model, systemPrompt, userPrompt) {
-  try {
-    const client = getGlobalAI();
-
-    const response = await client.chat.completions.create({
-      model: model,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      // ขอให้ตอบกลับเป็น JSON ล้วนเมื่อโมเดลรองรับ
-      response_format: { type: "json_object" },
-    });
+function createPlanRefiner(
+  model,
+  instructions,
+  existingPathsSummary,
+  options = { path: true, file: true },
+  requestOptions = {},
+  keep = () => true,
+  dependencies = undefined
+) {
+  const history = [];
+  return async (followUp, plan) => {
+    const rounds = [...history, { plan, followUp }];
+    const payload = await requestPathPlan(
+      model,
+      instructions,
+      existingPathsSummary,
+      { ...options, history: rounds },
+      requestOptions
+    );
+    // เก็บรอบนี้ไว้เมื่อสำเร็จเท่านั้น รอบที่ล้มเหลวจะไม่อยู่ในบทสนทนา
+    history.push({ plan, followUp });
+    const next = coerceGeneratedPaths(payload).filter(keep);
+    if (dependencies) collectDependencies(dependencies, next);
+    return next;
+  };
+}
 
-    const content = response.choices[0]?.message?.content;
-    console.log("Content XXX", content);
-    if (!content) {
-      throw new Error("No response content from AI");
-    }
+/**
+ * แปลงรายการ path กลับเป็นรูปแบบ JSON ที่ AI ใช้ตอบ ({ paths, files })
+ * @param {Array<{ path: string; pathKind: string }>} plan
+ */
+function planToPayload(plan) {
+  return {
+    paths: plan.filter((item) => item.pathKind === "directory").map((item) => item.path),
+    files: plan.filter((item) => item.pathKind === "file").map((item) => item.path),
+  };
+}
 
-    return {
-      output_text: content,
-    };
-  } catch (error) {
-    // ถ้า AI API ล้มเหลว ให้ใช้ fallback response ที่ครอบคลุมมากขึ้น
-    console.warn(`AI API failed: ${error.message}, using comprehensive fallback`);
-    
-    // เนื่องจากเราไม่สามารถเข้าถึง options ที่ส่งมาจาก requestPathPlan ได้โดยตรงจากที่นี่
-    // เราจะใช้ fallback ที่ครอบคลุมทั้งไดเรกทอรีและไฟล์เป็นค่าเริ่มต้น
-    // (ในทางปฏิบัติควรส่ง options มาเป็น parameter เพิ่มเติม)
-    const fallbackResponse = {
-      paths: [
-        "src/components",
-        "src/utils",
-        "src/hooks",
-        "src/styles",
-        "src/assets"
-      ],
-      files: [
-        "src/components/Button.jsx",
-        "src/components/Header.jsx",
-        "src/components/Footer.jsx",
-        "src/utils/helpers.js",
-        "src/utils/constants.js",
-        "src/hooks/useLocalStorage.js",
-        "src/hooks/useApi.js",
-        "src/styles/global.css",
-        "src/styles/components.css"
-      ]
-    };
-    
-    return {
-      output_text: JSON.stringify(fallbackResponse),
-    };
+/**
+ * เรียก AI API จริงผ่าน provider ที่ตั้งค่าไว้ (retry/backoff อยู่ใน requestChat)
+ * ถ้าเรียกไม่สำเร็จหลัง retry ครบ จะ throw error แทนการสร้างแผนปลอม
+ * followUps: ข้อความต่อท้ายบทสนทนา (แผนก่อนหน้า + คำสั่งปรับแผน)
+ */
+async function callAIAPI(model, systemPrompt, userPrompt, requestOptions = {}, followUps = []) {
+  const response = await requestChat({
+    model: model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+      ...followUps,
+    ],
+    // ขอให้ตอบกลับเป็น JSON ล้วนเมื่อโมเดลรองรับ
+    responseFormat: "json",
+  }, requestOptions);
+
+  const content = response.content;
+  if (!content) {
+    throw new Error("No response content from AI");
   }
+
+  return {
+    output_text: content,
+  };
 }
 
 /**
@@ -263,6 +426,7 @@ function parseJSONResponse(response) {
 
 /**
  * แปลงผลตอบกลับเป็นรายการ path
+ * ไฟล์ที่มีใน `dependencies` ของแผนจะได้ dependsOn (path ที่ normalize แล้ว)
  */
 function coerceGeneratedPaths(responsePayload) {
   // รองรับได้ทั้งรูปแบบเป็น array ตรง ๆ, หรือเป็น object ที่มี fields: paths, files
@@ -284,7 +448,7 @@ function coerceGeneratedPaths(responsePayload) {
   for (const val of dirCandidates) {
     if (typeof val !== "string") continue;
     try {
-      const normalized = normalizeSegments(val);
+      const normalized = normalizePlanPath(val);
       if (!normalized || unique.has(normalized)) continue;
       unique.add(normalized);
 
@@ -303,7 +467,7 @@ function coerceGeneratedPaths(responsePayload) {
   for (const val of fileCandidates) {
     if (typeof val !== "string") continue;
     try {
-      const normalized = normalizeSegments(val);
+      const normalized = normalizePlanPath(val);
       if (!normalized || unique.has(normalized)) continue;
       unique.add(normalized);
 
@@ -317,6 +481,28 @@ function coerceGeneratedPaths(responsePayload) {
     }
   }
 
+  const rawDependencies = responsePayload?.dependencies;
+  if (rawDependencies && typeof rawDependencies === "object" && !Array.isArray(rawDependencies)) {
+    const normalizeAll = (values) =>
+      (Array.isArray(values) ? values : []).flatMap((val) => {
+        try {
+          return typeof val === "string" && normalizePlanPath(val) ? [normalizePlanPath(val)] : [];
+        } catch {
+          return [];
+        }
+      });
+    const dependsOn = new Map();
+    for (const [key, values] of Object.entries(rawDependencies)) {
+      const [normalized] = normalizeAll([key]);
+      if (normalized) dependsOn.set(normalized, normalizeAll(values));
+    }
+    for (const item of results) {
+      if (item.pathKind === "file" && dependsOn.has(item.path)) {
+        item.dependsOn = [...new Set(dependsOn.get(item.path))].filter((dep) => dep !== item.path);
+      }
+    }
+  }
+
   return results;
 }
 
@@ -328,7 +514,7 @@ function normalizeSegments(pathStr) {
   if (
     path.isAbsolute(pathStr) ||
     pathStr.startsWith("/") ||
-    /^[A-Z]:/.test(pathStr)
+    /^[A-Za-z]:/.test(pathStr)
   ) {
     throw new Error("Absolute paths not allowed");
   }
@@ -349,6 +535,40 @@ function normalizeSegments(pathStr) {
   return normalizedSegments.join("/");
 }
 
+/**
+ * normalize path ในแผน โดยคง prefix `root:` ไว้ (ตรวจว่ามี root จริงตอนเขียนไฟล์)
+ * @param {string} value
+ */
+function normalizePlanPath(value) {
+  const { root, path: rest } = splitRootPath(value.trim());
+  const normalized = normalizeSegments(rest);
+  if (!normalized) return "";
+  return root ? `${root}:${normalized}` : normalized;
+}
+
+/**
+ * แปลง path ในแผนเป็น Uri: path ปกติอยู่ใต้ baseUri ส่วน `root:path` อยู่ใต้
+ * workspace folder ชื่อ root ผ่าน normalizeSegments เสมอ จึงออกนอก folder ไม่ได้
+ * @param {vscode.Uri} baseUri
+ * @param {string} planPath
+ */
+function resolvePlanPath(baseUri, planPath) {
+  const { root, path: rest } = splitRootPath(planPath);
+  const relative = normalizeSegments(rest);
+  if (!relative) {
+    throw new Error("Path is empty");
+  }
+  if (!root) {
+    return vscode.Uri.joinPath(baseUri, relative);
+  }
+
+  const folder = vscode.workspace.workspaceFolders?.find((item) => item.name === root);
+  if (!folder) {
+    throw new Error(`Unknown workspace folder "${root}"`);
+  }
+  return vscode.Uri.joinPath(folder.uri, relative);
+}
+
 /**
  * เดา path kind จากชื่อ
  */
@@ -365,24 +585,51 @@ function inferPathKind(pathStr) {
 
 /**
  * สร้างโครงสร้างไฟล์/โฟลเดอร์
+ * ไฟล์ที่มีอยู่แล้วจะถูกข้าม (ไม่เขียนทับ)
+ * options.getContent: ฟังก์ชันสร้างเนื้อหาไฟล์ (เช่น ให้ AI เขียน starter code)
+ * ถ้าไม่ระบุจะใช้ item.content หรือไฟล์ว่าง
+ * options.onProgress: เรียกหลังประมวลผลแต่ละรายการ
+ * options.transaction: บันทึกโฟลเดอร์/ไฟล์ที่สร้างไว้สำหรับ Undo Last Generation
+ * @param {vscode.Uri} baseUri path ที่ไม่มี prefix `root:` จะถูกสร้างใต้โฟลเดอร์นี้
+ * @param {Array<{ path: string; pathKind: string; content?: string }>} selections
+ * @param {{
+ *   getContent?: (item: { path: string; pathKind: string }) => Promise<string>;
+ *   onProgress?: (item: { path: string; pathKind: string }, done: number, total: number) => void;
+ *   transaction?: import("./generationTransaction.js").GenerationTransaction;
+ * }} [options]
  */
-async function createPathArtifacts(workspaceUri, selections) {
+async function createPathArtifacts(baseUri, selections, options = {}) {
+  const created = [];
+  const skipped = [];
   const failed = [];
+  let done = 0;
 
   for (const item of selections) {
     try {
-      const fullPath = vscode.Uri.joinPath(workspaceUri, item.path);
+      const fullPath = resolvePlanPath(baseUri, item.path);
 
       if (item.pathKind === "directory") {
+        await recordNewDirectories(options.transaction, fullPath, item.path, true);
         await vscode.workspace.fs.createDirectory(fullPath);
+        created.push(item.path);
       } else if (item.pathKind === "file") {
         // สร้างโฟลเดอร์ก่อน (ถ้ามี)
         const parentDir = vscode.Uri.joinPath(fullPath, "..");
+        await recordNewDirectories(options.transaction, fullPath, item.path);
         await vscode.workspace.fs.createDirectory(parentDir);
 
-        // หมายเหตุ: บรรทัดเขียนไฟล์ถูกคอมเมนต์ไว้ (ไม่เขียนไฟล์จริง)
-        // const content = item.content || "";
-        // await vscode.workspace.fs.writeFile(fullPath, Buffer.from(content, "utf8"));
+        if (await exists(fullPath)) {
+          skipped.push(item.path);
+        } else {
+          const content = options.getContent
+            ? await options.getContent(item)
+            : item.content || "";
+          await vscode.workspace.fs.writeFile(fullPath, Buffer.from(content, "utf8"));
+          if (options.transaction) {
+            recordFile(options.transaction, { uri: fullPath.toString(), path: item.path, content });
+          }
+          created.push(item.path);
+        }
       }
     } catch (error) {
       failed.push({
@@ -390,30 +637,79 @@ async function createPathArtifacts(workspaceUri, selections) {
         error: error.message,
       });
     }
+
+    done += 1;
+    options.onProgress?.(item, done, selections.length);
   }
 
-  return failed;
+  return { created, skipped, failed };
+}
+
+async function exists(uri) {
+  try {
+    await vscode.workspace.fs.stat(uri);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * เลือกค่าจาก argument ของคำสั่งถ้ามี ไม่เช่นนั้นถามผู้ใช้ด้วย QuickPick
+ * @returns {Promise<string | undefined>}
+ */
+async function pickOption(argValue, allowed, items, placeHolder) {
+  if (argValue !== undefined) {
+    if (!allowed.includes(argValue)) {
+      throw new Error(`Invalid value "${argValue}". Expected one of: ${allowed.join(", ")}`);
+    }
+    return argValue;
+  }
+  const pick = await vscode.window.showQuickPick(items, { placeHolder });
+  return pick?.value;
 }
 
 /**
  * คำสั่งหลัก generatePaths
+ * args (ไม่บังคับ) สำหรับเรียกผ่าน executeCommand หรือ keybinding:
+ * - mode: "both" | "directories" | "files"
+ * - content: "empty" | "ai" เนื้อหาของไฟล์ใหม่
+ * - instructions: คำสั่งที่ใช้แทนการถามผู้ใช้
+ * - baseUri: โฟลเดอร์ที่จะสร้าง path ลงไป (เช่นจากเมนู Explorer "Generate Paths Here")
+ * @param {vscode.ExtensionContext} context
+ * @param {{ mode?: string; content?: string; instructions?: string; baseUri?: vscode.Uri }} [args]
  */
-async function generatePaths() {
+async function generatePaths(context, args = {}) {
+  const run = startRun("generatePaths");
+  let transaction;
   try {
-    // 1. ตรวจสอบสภาพแวดล้อม
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
-      vscode.window.showErrorMessage("No workspace folder is open");
+    // 1. ตรวจสอบสภาพแวดล้อมและโฟลเดอร์ฐาน
+    const target = await resolveBaseFolder(args?.baseUri);
+    if (!target) {
       return;
     }
+    const { baseUri } = target;
+
+    // 2. เลือกชนิดของ path ที่ต้องการจาก AI
+    const mode = await pickOption(
+      args?.mode,
+      Object.keys(PATH_MODES),
+      MODE_ITEMS,
+      "What should the AI plan?"
+    );
+    if (!mode) {
+      return;
+    }
+    const pathPlanOptions = PATH_MODES[mode];
 
-    const workspaceFolder = workspaceFolders[0];
-
-    // 2. รับคำสั่งจากผู้ใช้
-    const instructions = await vscode.window.showInputBox({
-      prompt: "Describe the files and directories you want to create",
-      placeHolder: "e.g., Create a React component with header and footer",
-    });
+    // 3. รับคำสั่งจากผู้ใช้
+    const instructions =
+      typeof args?.instructions === "string"
+        ? args.instructions
+        : await vscode.window.showInputBox({
+            prompt: "Describe the files and directories you want to create",
+            placeHolder: "e.g., Create a React component with header and footer",
+          });
 
     if (instructions === undefined) {
       // ผู้ใช้กด Esc
@@ -425,21 +721,13 @@ async function generatePaths() {
       return;
     }
 
-  // 3. เตรียมค่าคอนฟิก AI
-    const config = vscode.workspace.getConfiguration();
-    const model = config.get("ai.model") || FALLBACK_MODEL;
-  // เพิ่มตัวเลือกสำหรับชนิดของ path ที่ต้องการจาก AI
-  // หมายเหตุ: ตอนนี้ตั้งค่าเริ่มต้นเป็นทั้งไดเรกทอรีและไฟล์
-  // สามารถต่อยอดเป็น UI ให้ผู้ใช้เลือกได้ภายหลัง
-  const pathPlanOptions = { path: true, file: true };
-
-    // 4. สรุป path ที่มีอยู่ใน workspace
-    const existingPathsSummary = await buildExistingPathsSummary(
-      workspaceFolder,
-      EXISTING_PATH_LIMIT
-    );
+    // 4. เตรียมค่าคอนฟิก AI
+    const model = getAIModel();
+
+    // 5. สรุป path ที่มีอยู่ใน workspace
+    const existingPathsSummary = await buildExistingPathsSummary(baseUri);
 
-    // 5. ขอแผน path จาก AI (พร้อม Progress)
+    // 6. ขอแผน path จาก AI (พร้อม Progress)
     let responsePayload;
     await vscode.window.withProgress(
       {
@@ -454,20 +742,21 @@ async function generatePaths() {
           model,
           instructions.trim(),
           existingPathsSummary,
-          pathPlanOptions
+          pathPlanOptions,
+          { run }
         );
 
         progress.report({ increment: 100 });
       }
     );
 
-    // 6. แปลงผลตอบกลับเป็นรายการ path
+    // 7. แปลงผลตอบกลับเป็นรายการ path
     const generatedPaths = coerceGeneratedPaths(responsePayload);
     // กรองผลลัพธ์ตามชนิดที่ต้องการ (ป้องกันกรณี AI ให้เกินเงื่อนไข)
-    const filteredPaths = generatedPaths.filter((item) =>
+    const wantedKind = (item) =>
       (item.pathKind === "directory" && pathPlanOptions.path) ||
-      (item.pathKind === "file" && pathPlanOptions.file)
-    );
+      (item.pathKind === "file" && pathPlanOptions.file);
+    const filteredPaths = generatedPaths.filter(wantedKind);
 
     if (filteredPaths.length === 0) {
       vscode.window.showInformationMessage(
@@ -476,51 +765,112 @@ async function generatePaths() {
       return;
     }
 
-    // 7. ให้ผู้ใช้เลือก path
-    const quickPickItems = filteredPaths.map((item) => ({
-      label: item.path,
-      description: item.pathKind === "file" ? "📄 File" : "📁 Directory",
-      picked: true,
-      path: item.path,
-      pathKind: item.pathKind,
-      content: item.content,
-    }));
-
-    const selections = await vscode.window.showQuickPick(quickPickItems, {
-      canPickMany: true,
-      placeHolder: "Select paths to create",
+    // 8. ให้ผู้ใช้ตรวจ/แก้ไขแผนในมุมมองต้นไม้ก่อนสร้าง
+    const selections = await openPlanEditor(context, filteredPaths, {
+      title: existingPathsSummary.base
+        ? `Review generated paths in ${existingPathsSummary.base}`
+        : "Review generated paths",
+      baseUri,
+      confirmLabel: "Create",
+      allowDirectories: pathPlanOptions.path,
+      manifest: { instructions: instructions.trim() },
+      refine: createPlanRefiner(
+        model,
+        instructions.trim(),
+        existingPathsSummary,
+        pathPlanOptions,
+        { run },
+        wantedKind
+      ),
     });
 
-    if (!selections || selections.length === 0) {
+    if (!selections) {
+      return;
+    }
+    if (selections.length === 0) {
       vscode.window.showInformationMessage("No paths selected.");
       return;
     }
 
-    // 8. สร้างโครงสร้างไฟล์/โฟลเดอร์
-    const failed = await createPathArtifacts(workspaceFolder.uri, selections);
+    // 9. เลือกเนื้อหาของไฟล์ใหม่ (ว่าง หรือให้ AI เขียน starter content)
+    let contentMode = "empty";
+    if (selections.some((item) => item.pathKind === "file")) {
+      contentMode = await pickOption(
+        args?.content,
+        CONTENT_ITEMS.map((item) => item.value),
+        CONTENT_ITEMS,
+        "Content of the new files"
+      );
+      if (!contentMode) {
+        return;
+      }
+    }
+
+    // 10. สร้างโครงสร้างไฟล์/โฟลเดอร์ (บันทึกไว้ให้ Undo Last Generation)
+    transaction = createTransaction("Generate Paths", instructions);
+    const result = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Creating paths...",
+        cancellable: false,
+      },
+      (progress) =>
+        createPathArtifacts(baseUri, selections, {
+          transaction,
+          getContent:
+            contentMode === "ai"
+              ? (item) =>
+                  requestFileContent(
+                    model,
+                    instructions.trim(),
+                    existingPathsSummary,
+                    item.path,
+                    { run }
+                  )
+              : undefined,
+          onProgress: (item, done, total) =>
+            progress.report({
+              increment: 100 / total,
+              message: `${done}/${total} ${item.path}`,
+            }),
+        })
+    );
 
-    // 9. สรุปผล
-    if (failed.length > 0) {
-      const failedList = failed.map((f) => `${f.path}: ${f.error}`).join("\n");
+    // 11. สรุปผล
+    const usageSummary = await finishRun(run);
+    const parts = [`Created ${result.created.length} path(s)`];
+    if (result.skipped.length) {
+      parts.push(`skipped ${result.skipped.length} existing file(s)`);
+    }
+    const summary = `${parts.join(", ")}.${usageSummary ? ` AI usage: ${usageSummary}.` : ""}`;
+    if (result.failed.length > 0) {
+      const failedList = result.failed.map((f) => `${f.path}: ${f.error}`).join("\n");
       vscode.window.showErrorMessage(
-        `Failed to create some paths:\n${failedList}`
+        `${summary} Failed to create some paths:\n${failedList}`
       );
     } else {
-      vscode.window.showInformationMessage(
-        `Created or updated ${selections.length} path(s).`
-      );
+      vscode.window.showInformationMessage(summary);
     }
   } catch (error) {
     vscode.window.showErrorMessage(`Error: ${error.message}`);
+  } finally {
+    await commitGeneration(transaction);
+    await finishRun(run);
   }
 }
 
 export {
   generatePaths,
   buildExistingPathsSummary,
+  resolveBaseFolder,
+  formatExistingPaths,
   requestPathPlan,
+  createPlanRefiner,
+  parseJSONResponse,
   coerceGeneratedPaths,
   normalizeSegments,
+  normalizePlanPath,
+  resolvePlanPath,
   inferPathKind,
   createPathArtifacts,
 };
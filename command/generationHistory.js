@@ -0,0 +1,249 @@
+import * as vscode from "vscode";
+
+import {
+  contentHash,
+  isEmptyTransaction,
+  planUndo,
+  recordDirectory,
+  summarizeTransaction,
+} from "./generationTransaction.js";
+
+const HISTORY_STORAGE_KEY = "extension.aiGenerations";
+const HISTORY_LIMIT = 20;
+
+/** @type {vscode.Memento | undefined} */
+let historyState;
+
+/**
+ * Keep generation runs in workspace state, so each workspace has its own
+ * history.
+ * @param {vscode.ExtensionContext} context
+ */
+export const initGenerationHistory = (context) => {
+  historyState = context.workspaceState;
+};
+
+/**
+ * @returns {import("./generationTransaction.js").GenerationTransaction[]} most recent last
+ */
+export const loadGenerationHistory = () => {
+  const data = historyState?.get(HISTORY_STORAGE_KEY);
+  return Array.isArray(data) ? data : [];
+};
+
+/**
+ * @param {import("./generationTransaction.js").GenerationTransaction[]} history
+ */
+const saveGenerationHistory = async (history) => {
+  await historyState?.update(HISTORY_STORAGE_KEY, history.slice(-HISTORY_LIMIT));
+};
+
+/**
+ * Store a finished run so it can be undone. Runs that wrote nothing are
+ * dropped, as are runs that stopped before writing (no transaction). Safe to
+ * call more than once; the run is stored the first time only.
+ * @param {import("./generationTransaction.js").GenerationTransaction | undefined} transaction
+ */
+export const commitGeneration = async (transaction) => {
+  if (!transaction || isEmptyTransaction(transaction)) {
+    return;
+  }
+  const history = loadGenerationHistory();
+  if (history.some((item) => item.id === transaction.id)) {
+    return;
+  }
+  await saveGenerationHistory([...history, transaction]);
+};
+
+/**
+ * Record the folders that creating `uri` will add: the folder itself when
+ * isDirectory is set, and every missing parent up to the first one that
+ * exists. Call before writing.
+ * @param {import("./generationTransaction.js").GenerationTransaction | undefined} transaction
+ * @param {vscode.Uri} uri
+ * @param {string} planPath shown to the user
+ * @param {boolean} [isDirectory]
+ */
+export async function recordNewDirectories(transaction, uri, planPath, isDirectory = false) {
+  if (!transaction) {
+    return;
+  }
+  let dir = isDirectory ? uri : vscode.Uri.joinPath(uri, "..");
+  let dirPath = isDirectory ? planPath : planPath.slice(0, planPath.lastIndexOf("/"));
+  while (dirPath && !(await exists(dir))) {
+    recordDirectory(transaction, dir.toString(), dirPath);
+    dir = vscode.Uri.joinPath(dir, "..");
+    dirPath = dirPath.slice(0, Math.max(0, dirPath.lastIndexOf("/")));
+  }
+}
+
+async function exists(uri) {
+  try {
+    await vscode.workspace.fs.stat(uri);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Content of a file as the user sees it: the open document (which may have
+ * unsaved edits) or the file on disk. Undefined when the file is gone.
+ * @param {vscode.Uri} uri
+ */
+async function readCurrent(uri) {
+  const document = vscode.workspace.textDocuments.find(
+    (doc) => doc.uri.toString() === uri.toString()
+  );
+  if (document) {
+    return document.getText();
+  }
+  try {
+    return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString("utf8");
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Ask for confirmation, then delete the files the run created, restore the
+ * files it overwrote and remove the folders it created once they are empty.
+ * Files changed since the run are listed in the confirmation; the user can
+ * roll them back as well or keep them.
+ * @param {import("./generationTransaction.js").GenerationTransaction} transaction
+ * @returns {Promise<boolean>} false when the user cancelled
+ */
+export async function undoGeneration(transaction) {
+  const current = new Map();
+  for (const file of transaction.files) {
+    const content = await readCurrent(vscode.Uri.parse(file.uri));
+    current.set(file.uri, content === undefined ? undefined : contentHash(content));
+  }
+
+  const preview = planUndo(transaction, current);
+  const UNDO = "Undo";
+  const UNDO_ALL = "Undo Anyway";
+  const KEEP_CHANGED = "Undo, Keep Changed Files";
+  let message = `Undo "${transaction.label}" (${summarizeTransaction(transaction)})?`;
+  if (preview.changed.length) {
+    const listed = preview.changed
+      .slice(0, 10)
+      .map((item) => `${item.path} (${item.reason})`)
+      .join("\n");
+    const more = preview.changed.length > 10 ? `\n…and ${preview.changed.length - 10} more` : "";
+    message += `\n\n${preview.changed.length} file(s) changed since the run:\n${listed}${more}`;
+  }
+  const choice = await vscode.window.showWarningMessage(
+    message,
+    { modal: true },
+    ...(preview.changed.length ? [UNDO_ALL, KEEP_CHANGED] : [UNDO])
+  );
+  if (!choice) {
+    return false;
+  }
+
+  const steps = planUndo(transaction, current, { keepChanged: choice === KEEP_CHANGED });
+  const edit = new vscode.WorkspaceEdit();
+  const documents = [];
+  for (const file of steps.remove) {
+    edit.deleteFile(vscode.Uri.parse(file.uri), { ignoreIfNotExists: true });
+  }
+  for (const file of steps.restore) {
+    const uri = vscode.Uri.parse(file.uri);
+    if (current.get(file.uri) === undefined) {
+      edit.createFile(uri, { overwrite: true, contents: Buffer.from(file.original, "utf8") });
+      continue;
+    }
+    const document = await vscode.workspace.openTextDocument(uri);
+    const fullRange = new vscode.Range(
+      document.positionAt(0),
+      document.positionAt(document.getText().length)
+    );
+    edit.replace(uri, fullRange, file.original);
+    documents.push(document);
+  }
+  if (
+    steps.remove.length + steps.restore.length > 0 &&
+    !(await vscode.workspace.applyEdit(edit))
+  ) {
+    throw new Error("VS Code did not apply the undo");
+  }
+  await Promise.all(documents.map((document) => document.save()));
+
+  // Folders that still hold other files (or kept changed files) stay
+  let removedDirectories = 0;
+  for (const dir of steps.directories) {
+    const uri = vscode.Uri.parse(dir.uri);
+    try {
+      if ((await vscode.workspace.fs.readDirectory(uri)).length === 0) {
+        await vscode.workspace.fs.delete(uri);
+        removedDirectories += 1;
+      }
+    } catch {
+      // Already gone
+    }
+  }
+
+  await saveGenerationHistory(loadGenerationHistory().filter((item) => item.id !== transaction.id));
+
+  const parts = [];
+  if (steps.remove.length) parts.push(`deleted ${steps.remove.length} file(s)`);
+  if (steps.restore.length) parts.push(`restored ${steps.restore.length} file(s)`);
+  if (removedDirectories) parts.push(`removed ${removedDirectories} folder(s)`);
+  const kept = choice === KEEP_CHANGED ? steps.changed.length : 0;
+  if (kept) parts.push(`kept ${kept} changed file(s)`);
+  vscode.window.showInformationMessage(
+    `Undid "${transaction.label}": ${parts.length ? parts.join(", ") : "nothing left to undo"}.`
+  );
+  return true;
+}
+
+/**
+ * Run undoGeneration and report failures.
+ * @param {import("./generationTransaction.js").GenerationTransaction} transaction
+ */
+async function undoWithErrors(transaction) {
+  try {
+    await undoGeneration(transaction);
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Could not undo "${transaction.label}": ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+/**
+ * Command: AI: Undo Last Generation
+ */
+export async function undoLastGeneration() {
+  const last = loadGenerationHistory().at(-1);
+  if (!last) {
+    vscode.window.showInformationMessage("No AI generation to undo in this workspace.");
+    return;
+  }
+  await undoWithErrors(last);
+}
+
+/**
+ * Command: AI: Generation History
+ * Lists the recent runs that wrote files; picking one undoes it.
+ */
+export async function showGenerationHistory() {
+  const history = loadGenerationHistory();
+  if (!history.length) {
+    vscode.window.showInformationMessage("No AI generations recorded in this workspace.");
+    return;
+  }
+  const picked = await vscode.window.showQuickPick(
+    [...history].reverse().map((transaction) => ({
+      label: transaction.label,
+      description: `${new Date(transaction.startedAt).toLocaleString()} · ${summarizeTransaction(transaction)}`,
+      detail: transaction.detail,
+      transaction,
+    })),
+    { placeHolder: "Pick a generation to undo", matchOnDescription: true, matchOnDetail: true }
+  );
+  if (picked) {
+    await undoWithErrors(picked.transaction);
+  }
+}
@@ -0,0 +1,111 @@
+const CONTEXT_BUDGET = 12000;
+
+/**
+ * Merge the `dependsOn` lists of plan items into a path -> paths map. A newer
+ * plan version replaces the list of a file it mentions.
+ * @param {Map<string, string[]>} dependencies
+ * @param {Array<{ path: string; dependsOn?: string[] }>} items
+ * @returns {Map<string, string[]>} the same map
+ */
+export function collectDependencies(dependencies, items) {
+  for (const item of items) {
+    if (Array.isArray(item.dependsOn)) {
+      dependencies.set(item.path, item.dependsOn.filter((dep) => dep !== item.path));
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Follow the paths the plan validator fixed or merged (`renamed`: given path
+ * -> new path): both the files and the paths they depend on are renamed, and
+ * the lists of merged files are joined.
+ * @param {Map<string, string[]>} dependencies
+ * @param {Record<string, string>} renamed
+ * @returns {Map<string, string[]>} the same map
+ */
+export function renameDependencies(dependencies, renamed) {
+  const rename = (item) => renamed[item] ?? item;
+  const entries = [...dependencies];
+  dependencies.clear();
+  for (const [file, deps] of entries) {
+    const target = rename(file);
+    const merged = [...(dependencies.get(target) ?? []), ...deps.map(rename)];
+    dependencies.set(target, [...new Set(merged)].filter((dep) => dep !== target));
+  }
+  return dependencies;
+}
+
+/**
+ * For use with mapWithConcurrency: the positions of the files each file
+ * depends on, among the files being generated.
+ * @param {string[]} paths
+ * @param {Map<string, string[]> | undefined} dependencies
+ * @returns {(index: number) => number[]}
+ */
+export function dependencyIndexes(paths, dependencies) {
+  const positions = new Map(paths.map((item, index) => [item, index]));
+  return (index) =>
+    (dependencies?.get(paths[index]) ?? [])
+      .map((dep) => positions.get(dep))
+      .filter((position) => position !== undefined && position !== index);
+}
+
+const SIGNATURE_PATTERNS = [
+  /^export\s/,
+  /^module\.exports\b/,
+  /^exports\.\w+/,
+  /^(async\s+)?def\s+\w+/,
+  /^class\s+\w+/,
+  /^(public\s+|internal\s+)?(abstract\s+|sealed\s+|data\s+)?(class|interface|enum|record|struct|trait|object)\s+\w+/,
+  /^func\s+/,
+  /^(pub\s+)?(async\s+)?(fn|struct|enum|trait|type|const)\s+\w+/,
+  /^(type|interface)\s+\w+/,
+  /^(function|async\s+function)\s+\w+/,
+];
+
+/**
+ * Top-level declarations of a file (exports, functions, classes, types),
+ * one line each without their bodies. A rough, language-agnostic outline
+ * for files too large to include in a prompt.
+ * @param {string} content
+ * @returns {string}
+ */
+export function exportedSignatures(content) {
+  return content
+    .split(/\r?\n/)
+    .filter((line) => SIGNATURE_PATTERNS.some((pattern) => pattern.test(line)))
+    .map((line) => line.replace(/\s*(\{|=>\s*\{|:)\s*$/, "").trimEnd())
+    .join("\n");
+}
+
+/**
+ * Prompt section describing the files a file depends on: their full content
+ * while it fits in the budget, otherwise their exported signatures.
+ * @param {Array<{ path: string; content: string }>} files
+ * @param {number} [budget] characters
+ * @returns {string} empty when there is nothing to show
+ */
+export function formatDependencyContext(files, budget = CONTEXT_BUDGET) {
+  let left = budget;
+  const sections = [];
+  for (const file of files) {
+    if (!file.content.trim()) {
+      sections.push(`### ${file.path}\n(empty)`);
+      continue;
+    }
+    let body = file.content;
+    let note = "";
+    if (body.length > left) {
+      body = exportedSignatures(body);
+      note = " (signatures only)";
+    }
+    if (!body.trim() || body.length > left) {
+      sections.push(`### ${file.path}\n(too large to include)`);
+      continue;
+    }
+    left -= body.length;
+    sections.push(`### ${file.path}${note}\n\`\`\`\n${body}\n\`\`\``);
+  }
+  return sections.join("\n\n");
+}
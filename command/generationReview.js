@@ -0,0 +1,271 @@
+import * as vscode from "vscode";
+
+import { recordNewDirectories } from "./generationHistory.js";
+import { recordFile } from "./generationTransaction.js";
+import { createFenceStripper } from "./codeFence.js";
+
+const PREVIEW_SCHEME = "ai-preview";
+const STREAM_REFRESH_MS = 100;
+
+/** Contents of the read-only preview documents, by preview URI */
+const previews = new Map();
+/** Fired when a streaming preview has new content */
+const previewChanges = new vscode.EventEmitter();
+let nextReviewId = 1;
+
+/**
+ * @typedef {Object} GeneratedChange
+ * @property {string} path plan path shown to the user
+ * @property {vscode.Uri} uri file to write
+ * @property {string} content generated content
+ * @property {boolean} exists whether the file exists (the preview is a diff)
+ */
+
+/**
+ * Serve the generated contents shown by the review and streaming previews.
+ * @returns {vscode.Disposable}
+ */
+export function initGenerationReview() {
+  return vscode.Disposable.from(
+    previewChanges,
+    vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+      onDidChange: previewChanges.event,
+      provideTextDocumentContent: (uri) => previews.get(uri.toString()) ?? "",
+    })
+  );
+}
+
+/**
+ * Whether generated files are shown in an editor while the AI writes them
+ * (`ai.streamToEditor`).
+ */
+export const isStreamToEditorEnabled = () =>
+  vscode.workspace.getConfiguration("ai").get("streamToEditor", false);
+
+/**
+ * Read-only editors that show generated files while the AI writes them, code
+ * fence stripped. Each file opens in the preview tab, so the latest one is
+ * in view; close() closes them before the generated files are reviewed.
+ */
+export function createStreamingPreviews() {
+  const streamId = nextReviewId++;
+  /** @type {vscode.Uri[]} */
+  const uris = [];
+
+  return {
+    /**
+     * @param {vscode.Uri} target file being generated
+     * @returns {import("../config/providers.js").ChatStream}
+     */
+    open(target) {
+      const uri = previewUri(target, `${streamId}-stream-${uris.length}`);
+      const key = uri.toString();
+      uris.push(uri);
+      previews.set(key, "");
+      let stripper = createFenceStripper();
+      let shown = false;
+      let refresh;
+
+      const show = ({ text, reset }) => {
+        if (!previews.has(key) || (!text && !reset)) return;
+        previews.set(key, (reset ? "" : previews.get(key)) + text);
+        if (!shown) {
+          shown = true;
+          void vscode.window.showTextDocument(uri, { preview: true, preserveFocus: true });
+        }
+        refresh ??= setTimeout(() => {
+          refresh = undefined;
+          previewChanges.fire(uri);
+        }, STREAM_REFRESH_MS);
+      };
+
+      return {
+        write: (delta) => show(stripper.push(delta)),
+        reset: () => {
+          stripper = createFenceStripper();
+          show({ text: "", reset: true });
+        },
+        // Text held back for a possible fence, e.g. a last line without a newline
+        end: () => show(stripper.end()),
+      };
+    },
+    close: () => closePreviews(uris),
+  };
+}
+
+/**
+ * Preview URI keeping the target's file name, so the language is detected
+ * from the extension.
+ * @param {vscode.Uri} target
+ * @param {string} query
+ */
+const previewUri = (target, query) =>
+  vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: target.path, query });
+
+/**
+ * Ask which generated files to write. The highlighted file is shown as a
+ * new-file preview, or as a diff against its current content.
+ * @param {GeneratedChange[]} changes
+ * @param {{ title: string }} options
+ * @returns {Promise<GeneratedChange[] | undefined>} accepted changes, or undefined when cancelled
+ */
+export function reviewGeneratedFiles(changes, options) {
+  const reviewId = nextReviewId++;
+  const uris = changes.map((change, index) => {
+    const right = previewUri(change.uri, `${reviewId}-${index}`);
+    previews.set(right.toString(), change.content);
+    return right;
+  });
+
+  const showPreview = (index) => {
+    const change = changes[index];
+    if (change.exists) {
+      return vscode.commands.executeCommand(
+        "vscode.diff",
+        change.uri,
+        uris[index],
+        `${change.path} (current ↔ generated)`,
+        { preview: true, preserveFocus: true }
+      );
+    }
+    return vscode.window.showTextDocument(uris[index], { preview: true, preserveFocus: true });
+  };
+
+  return new Promise((resolve) => {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = options.title;
+    quickPick.placeholder = "Untick the files you reject, then press Enter to write the others";
+    quickPick.canSelectMany = true;
+    quickPick.ignoreFocusOut = true;
+    quickPick.matchOnDescription = true;
+    quickPick.items = changes.map((change, index) => ({
+      label: change.path,
+      description: change.exists ? "modified" : "new file",
+      index,
+      buttons: [{ iconPath: new vscode.ThemeIcon("diff"), tooltip: "Show the preview" }],
+    }));
+    quickPick.selectedItems = quickPick.items;
+
+    let accepted;
+    quickPick.onDidChangeActive(([item]) => {
+      if (item) void showPreview(item.index);
+    });
+    quickPick.onDidTriggerItemButton((event) => void showPreview(event.item.index));
+    quickPick.onDidAccept(() => {
+      accepted = quickPick.selectedItems.map((item) => changes[item.index]);
+      quickPick.hide();
+    });
+    quickPick.onDidHide(() => {
+      quickPick.dispose();
+      void closePreviews(uris);
+      resolve(accepted);
+    });
+    quickPick.show();
+  });
+}
+
+/**
+ * Close the preview tabs of a review and forget their contents.
+ * @param {vscode.Uri[]} uris
+ */
+async function closePreviews(uris) {
+  const keys = new Set(uris.map((uri) => uri.toString()));
+  const tabs = vscode.window.tabGroups.all
+    .flatMap((group) => group.tabs)
+    .filter((tab) => {
+      const input = tab.input;
+      const uri =
+        input instanceof vscode.TabInputTextDiff
+          ? input.modified
+          : input instanceof vscode.TabInputText
+            ? input.uri
+            : undefined;
+      return uri && keys.has(uri.toString());
+    });
+  try {
+    await vscode.window.tabGroups.close(tabs);
+  } finally {
+    keys.forEach((key) => previews.delete(key));
+  }
+}
+
+/**
+ * Write changes as a single WorkspaceEdit, so they are applied (and undone)
+ * together. New files are created with their content; existing files are
+ * replaced in full and saved. The transaction, when given, records the
+ * written files, their previous content and the folders created for them.
+ * @param {GeneratedChange[]} changes
+ * @param {import("./generationTransaction.js").GenerationTransaction} [transaction]
+ * @returns {Promise<{ created: string[]; overwritten: string[] }>}
+ */
+export async function applyGeneratedFiles(changes, transaction) {
+  const edit = new vscode.WorkspaceEdit();
+  const documents = [];
+  const records = [];
+  for (const change of changes) {
+    if (change.exists) {
+      const document = await vscode.workspace.openTextDocument(change.uri);
+      records.push({ change, original: document.getText() });
+      const fullRange = new vscode.Range(
+        document.positionAt(0),
+        document.positionAt(document.getText().length)
+      );
+      edit.replace(change.uri, fullRange, change.content);
+      documents.push(document);
+    } else {
+      await recordNewDirectories(transaction, change.uri, change.path);
+      records.push({ change, original: undefined });
+      edit.createFile(change.uri, {
+        overwrite: true,
+        contents: Buffer.from(change.content, "utf8"),
+      });
+    }
+  }
+
+  if (changes.length && !(await vscode.workspace.applyEdit(edit))) {
+    throw new Error("VS Code did not apply the generated files");
+  }
+  if (transaction) {
+    for (const { change, original } of records) {
+      recordFile(transaction, {
+        uri: change.uri.toString(),
+        path: change.path,
+        content: change.content,
+        original,
+      });
+    }
+  }
+  await Promise.all(documents.map((document) => document.save()));
+
+  return {
+    created: changes.filter((change) => !change.exists).map((change) => change.path),
+    overwritten: changes.filter((change) => change.exists).map((change) => change.path),
+  };
+}
+
+/**
+ * Review generated files, then write the accepted ones in one edit.
+ * @param {GeneratedChange[]} changes
+ * @param {{ title: string; transaction?: import("./generationTransaction.js").GenerationTransaction }} options
+ * @returns {Promise<{ created: string[]; overwritten: string[]; rejected: string[]; cancelled: boolean }>}
+ */
+export async function reviewAndApplyGeneratedFiles(changes, options) {
+  if (changes.length === 0) {
+    return { created: [], overwritten: [], rejected: [], cancelled: false };
+  }
+  const accepted = await reviewGeneratedFiles(changes, options);
+  if (!accepted) {
+    return {
+      created: [],
+      overwritten: [],
+      rejected: changes.map((change) => change.path),
+      cancelled: true,
+    };
+  }
+  const written = await applyGeneratedFiles(accepted, options.transaction);
+  return {
+    ...written,
+    rejected: changes.filter((change) => !accepted.includes(change)).map((change) => change.path),
+    cancelled: false,
+  };
+}
@@ -0,0 +1,126 @@
+import { createHash } from "crypto";
+
+/**
+ * @typedef {Object} TransactionFile
+ * @property {string} uri
+ * @property {string} path plan path shown to the user
+ * @property {string} hash contentHash of what the run wrote
+ * @property {string} [original] content before the run; missing for files the run created
+ */
+
+/**
+ * @typedef {Object} GenerationTransaction
+ * @property {string} id
+ * @property {string} label command name shown in the history
+ * @property {string} [detail] what the run was asked for
+ * @property {string} startedAt ISO timestamp
+ * @property {Array<{ uri: string; path: string }>} directories folders the run created
+ * @property {TransactionFile[]} files
+ */
+
+/**
+ * Hash of a file's content, ignoring line endings (a document may save
+ * generated text with its own EOL).
+ * @param {string} content
+ */
+export const contentHash = (content) =>
+  createHash("sha256").update(content.replace(/\r\n/g, "\n")).digest("hex");
+
+/**
+ * @param {string} label
+ * @param {string} [detail]
+ * @returns {GenerationTransaction}
+ */
+export const createTransaction = (label, detail) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  label,
+  detail: detail ? detail.replace(/\s+/g, " ").trim().slice(0, 120) : undefined,
+  startedAt: new Date().toISOString(),
+  directories: [],
+  files: [],
+});
+
+/**
+ * @param {GenerationTransaction} transaction
+ * @param {string} uri
+ * @param {string} path
+ */
+export function recordDirectory(transaction, uri, path) {
+  if (!transaction.directories.some((dir) => dir.uri === uri)) {
+    transaction.directories.push({ uri, path });
+  }
+}
+
+/**
+ * Record a written file. A file written twice in one run keeps the content
+ * it had before the first write.
+ * @param {GenerationTransaction} transaction
+ * @param {{ uri: string; path: string; content: string; original?: string }} file
+ *   original: content before the write; leave out for new files
+ */
+export function recordFile(transaction, file) {
+  const known = transaction.files.find((item) => item.uri === file.uri);
+  if (known) {
+    known.hash = contentHash(file.content);
+    return;
+  }
+  transaction.files.push({
+    uri: file.uri,
+    path: file.path,
+    hash: contentHash(file.content),
+    original: file.original,
+  });
+}
+
+/** @param {GenerationTransaction} transaction */
+export const isEmptyTransaction = (transaction) =>
+  transaction.files.length === 0 && transaction.directories.length === 0;
+
+/**
+ * @param {GenerationTransaction} transaction
+ */
+export const summarizeTransaction = (transaction) => {
+  const created = transaction.files.filter((file) => file.original === undefined).length;
+  const parts = [];
+  if (created) parts.push(`${created} created`);
+  if (transaction.files.length > created) parts.push(`${transaction.files.length - created} overwritten`);
+  if (transaction.directories.length) parts.push(`${transaction.directories.length} folder(s)`);
+  return parts.join(", ");
+};
+
+/**
+ * Steps that roll a transaction back, given what the files hold now.
+ * Files whose content no longer matches what the run wrote are listed as
+ * changed; they are left alone when keepChanged is set.
+ * @param {GenerationTransaction} transaction
+ * @param {Map<string, string | undefined>} current uri -> contentHash now, undefined when the file is gone
+ * @param {{ keepChanged?: boolean }} [options]
+ * @returns {{
+ *   remove: TransactionFile[];
+ *   restore: TransactionFile[];
+ *   directories: Array<{ uri: string; path: string }>;
+ *   changed: Array<{ path: string; reason: "modified" | "deleted" }>;
+ * }}
+ */
+export function planUndo(transaction, current, options = {}) {
+  const changed = [];
+  const remove = [];
+  const restore = [];
+  for (const file of transaction.files) {
+    const hash = current.get(file.uri);
+    const isChanged = hash !== file.hash;
+    if (isChanged) {
+      changed.push({ path: file.path, reason: hash === undefined ? "deleted" : "modified" });
+      if (options.keepChanged) continue;
+    }
+    if (file.original !== undefined) {
+      restore.push(file);
+    } else if (hash !== undefined) {
+      remove.push(file);
+    }
+  }
+  // Deepest first, so a folder is emptied before its parent is removed
+  const depth = (dir) => dir.uri.split("/").length;
+  const directories = [...transaction.directories].sort((a, b) => depth(b) - depth(a));
+  return { remove, restore, directories, changed };
+}
@@ -0,0 +1,302 @@
+import * as vscode from "vscode";
+import * as path from "path";
+import { exec } from "child_process";
+
+import { requestChat, getRequestSettings } from "../config/request.js";
+import { mapWithConcurrency } from "../config/concurrency.js";
+import { extractCodeFromText } from "./createProjectByAI.js";
+import { applyGeneratedFiles } from "./generationReview.js";
+import { formatProblems, outputLinesFor } from "./verification.js";
+
+/** Diagnostics are taken once no new ones arrived for this long... */
+const DIAGNOSTICS_QUIET_MS = 2000;
+/** ...or after this long at most */
+const DIAGNOSTICS_TIMEOUT_MS = 15000;
+const COMMAND_TIMEOUT_MS = 120000;
+const COMMAND_OUTPUT_LIMIT = 4 * 1024 * 1024;
+
+/**
+ * @typedef {Object} VerifySettings
+ * @property {boolean} enabled
+ * @property {number} maxRounds repair rounds after the first check
+ * @property {string} command shell command run in the workspace folder; empty for none
+ */
+
+/** @returns {VerifySettings} */
+export function getVerifySettings() {
+  const config = vscode.workspace.getConfiguration("ai");
+  return {
+    enabled: config.get("verify.enabled", false),
+    maxRounds: Math.max(0, Math.floor(config.get("verify.maxRounds", 2))),
+    command: (config.get("verify.command", "") || "").trim(),
+  };
+}
+
+/**
+ * Resolve once the diagnostics of the given files stop changing, so language
+ * servers that pick up a newly opened file have a chance to report on it.
+ * @param {vscode.Uri[]} uris
+ */
+function waitForDiagnostics(uris) {
+  const keys = new Set(uris.map((uri) => uri.toString()));
+  return new Promise((resolve) => {
+    let quiet;
+    const finish = () => {
+      clearTimeout(quiet);
+      clearTimeout(limit);
+      listener.dispose();
+      resolve(undefined);
+    };
+    const limit = setTimeout(finish, DIAGNOSTICS_TIMEOUT_MS);
+    const listener = vscode.languages.onDidChangeDiagnostics((event) => {
+      if (!event.uris.some((uri) => keys.has(uri.toString()))) return;
+      clearTimeout(quiet);
+      quiet = setTimeout(finish, DIAGNOSTICS_QUIET_MS);
+    });
+    quiet = setTimeout(finish, DIAGNOSTICS_QUIET_MS);
+  });
+}
+
+/**
+ * Run the check command. A non-zero exit code, a timeout and a command that
+ * cannot be started are all reported in `failed`, never thrown: the files
+ * are written by then.
+ * @param {string} command
+ * @param {string} cwd
+ * @param {AbortSignal} signal
+ * @returns {Promise<{ failed: boolean; output: string }>}
+ */
+function runCheckCommand(command, cwd, signal) {
+  return new Promise((resolve) => {
+    try {
+      exec(
+        command,
+        { cwd, timeout: COMMAND_TIMEOUT_MS, maxBuffer: COMMAND_OUTPUT_LIMIT, signal, windowsHide: true },
+        (error, stdout, stderr) => {
+          if (error && signal.aborted) {
+            resolve({ failed: false, output: "" });
+          } else if (error && typeof error.code === "string") {
+            // Not an exit code: the shell or cwd is missing, or the output was too large
+            resolve({ failed: true, output: `${stdout}\n${stderr}\nCould not run \`${command}\`: ${error.message}` });
+          } else {
+            resolve({ failed: Boolean(error), output: `${stdout}\n${stderr}` });
+          }
+        }
+      );
+    } catch (error) {
+      resolve({
+        failed: true,
+        output: `Could not run \`${command}\`: ${error instanceof Error ? error.message : String(error)}`,
+      });
+    }
+  });
+}
+
+/**
+ * Errors in the given files: error diagnostics from the language servers and,
+ * when a check command is configured, the lines of its output naming a file.
+ * The command runs once in each workspace folder holding any of the files.
+ * @param {Array<{ path: string; uri: vscode.Uri }>} files
+ * @param {VerifySettings} settings
+ * @param {AbortSignal} signal
+ * @returns {Promise<{ problems: Map<string, string>; counts: Map<string, number>; commandFailure?: string }>}
+ *   problems: prompt text per file with errors
+ */
+async function collectProblems(files, settings, signal) {
+  const settled = waitForDiagnostics(files.map((file) => file.uri));
+  // Language servers only report on files that are open
+  await Promise.all(files.map((file) => vscode.workspace.openTextDocument(file.uri)));
+  await settled;
+
+  const problems = new Map();
+  const counts = new Map();
+  for (const file of files) {
+    const errors = vscode.languages
+      .getDiagnostics(file.uri)
+      .filter((diagnostic) => diagnostic.severity === vscode.DiagnosticSeverity.Error);
+    if (!errors.length) continue;
+    problems.set(
+      file.path,
+      formatProblems(
+        errors.map((diagnostic) => ({
+          line: diagnostic.range.start.line + 1,
+          message: diagnostic.message,
+          source: diagnostic.source,
+          code: typeof diagnostic.code === "object" ? diagnostic.code.value : diagnostic.code,
+        }))
+      )
+    );
+    counts.set(file.path, errors.length);
+  }
+
+  // A workspace could otherwise run any command through its settings
+  if (!settings.command || !vscode.workspace.isTrusted) {
+    return { problems, counts };
+  }
+  /** @type {Map<string, { folder: vscode.WorkspaceFolder; files: typeof files }>} */
+  const byFolder = new Map();
+  for (const file of files) {
+    const folder = vscode.workspace.getWorkspaceFolder(file.uri);
+    if (!folder) continue;
+    const key = folder.uri.toString();
+    if (!byFolder.has(key)) byFolder.set(key, { folder, files: [] });
+    byFolder.get(key).files.push(file);
+  }
+
+  const failures = [];
+  for (const { folder, files: folderFiles } of byFolder.values()) {
+    if (signal.aborted) break;
+    const result = await runCheckCommand(settings.command, folder.uri.fsPath, signal);
+    if (!result.failed) continue;
+
+    let named = false;
+    for (const file of folderFiles) {
+      const relative = path.relative(folder.uri.fsPath, file.uri.fsPath).split(path.sep).join("/");
+      const lines = outputLinesFor(result.output, relative);
+      if (!lines.length) continue;
+      named = true;
+      const known = problems.get(file.path);
+      const section = `Output of \`${settings.command}\`:\n${lines.join("\n")}`;
+      problems.set(file.path, known ? `${known}\n\n${section}` : section);
+      counts.set(file.path, (counts.get(file.path) ?? 0) + lines.filter((line) => !/^\s/.test(line)).length);
+    }
+    if (!named) {
+      const tail = result.output.trim().split(/\r?\n/).slice(-20).join("\n");
+      failures.push(byFolder.size > 1 ? `${folder.name}:\n${tail}` : tail);
+    }
+  }
+  return { problems, counts, commandFailure: failures.length ? failures.join("\n\n") : undefined };
+}
+
+/**
+ * Ask the AI for a corrected version of a file.
+ * @param {string} model
+ * @param {string} instructions what the file was generated for
+ * @param {string} relativePath
+ * @param {string} content current content
+ * @param {string} problems
+ * @param {{ run?: any; signal?: AbortSignal }} requestOptions
+ */
+async function requestRepair(model, instructions, relativePath, content, problems, requestOptions) {
+  const response = await requestChat(
+    {
+      model,
+      messages: [
+        {
+          role: "system",
+          content: `คุณเป็นผู้ช่วย AI สำหรับแก้ไขไฟล์โค้ดที่มีข้อผิดพลาด
+
+ข้อกำหนด:
+- แก้เฉพาะข้อผิดพลาดที่ระบุ โดยคงโครงสร้างและพฤติกรรมเดิมของไฟล์ไว้
+- ให้ผลลัพธ์เป็นเนื้อหาไฟล์เต็มทั้งไฟล์ (ไม่ใช่แค่ส่วนที่แก้)
+- ไม่ใส่คำอธิบายอื่น ๆ ที่ไม่ใช่โค้ดในเอาต์พุต
+- หากใช้โค้ดบล็อก ให้ห่อด้วย \`\`\` และภาษาให้ตรงกับชนิดไฟล์`,
+        },
+        {
+          role: "user",
+          content: `ไฟล์: ${relativePath}
+สร้างขึ้นตามข้อกำหนดต่อไปนี้: ${instructions}
+
+เนื้อหาปัจจุบัน:
+\`\`\`
+${content}
+\`\`\`
+
+ข้อผิดพลาดที่พบ:
+${problems}
+
+เอาต์พุตเป็นเนื้อหาไฟล์ที่แก้แล้วเท่านั้น`,
+        },
+      ],
+      temperature: 0.1,
+      maxTokens: 3500,
+      signal: requestOptions.signal,
+    },
+    { run: requestOptions.run }
+  );
+  return extractCodeFromText(response.content);
+}
+
+/**
+ * Verify-and-repair loop after generated files are written (`ai.verify.*`):
+ * collect the errors in the files, ask the AI to fix the files that have
+ * any, write the fixes and check again, for at most `ai.verify.maxRounds`
+ * rounds. Fixes are written without another review, into the transaction of
+ * the run, so Undo Last Generation reverts them with the rest.
+ * @param {Array<{ path: string; uri: vscode.Uri }>} files written files
+ * @param {{ model: string; instructions: string; run?: any; transaction?: import("./generationTransaction.js").GenerationTransaction }} options
+ * @returns {Promise<import("./verification.js").VerificationResult & { contents: Map<string, string> } | undefined>}
+ *   undefined when verification is off or nothing was written; contents: the
+ *   repaired files
+ */
+export async function verifyGeneratedFiles(files, options) {
+  const settings = getVerifySettings();
+  if (!settings.enabled || !files.length) return undefined;
+
+  return vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "Verifying generated files...",
+      cancellable: true,
+    },
+    async (progress, token) => {
+      const controller = new AbortController();
+      const cancellation = token.onCancellationRequested(() => controller.abort());
+      /** @type {Map<string, string>} */
+      const contents = new Map();
+      const flagged = new Set();
+      let rounds = 0;
+      try {
+        progress.report({ message: "Checking files" });
+        let check = await collectProblems(files, settings, controller.signal);
+        check.problems.forEach((_, file) => flagged.add(file));
+
+        while (check.problems.size && rounds < settings.maxRounds && !controller.signal.aborted) {
+          rounds += 1;
+          const broken = files.filter((file) => check.problems.has(file.path));
+          progress.report({ message: `Round ${rounds}: repairing ${broken.length} file(s)` });
+          const results = await mapWithConcurrency(
+            broken,
+            getRequestSettings().concurrency,
+            async (file) => {
+              const document = await vscode.workspace.openTextDocument(file.uri);
+              return requestRepair(
+                options.model,
+                options.instructions,
+                file.path,
+                document.getText(),
+                check.problems.get(file.path),
+                { run: options.run, signal: controller.signal }
+              );
+            },
+            controller.signal
+          );
+          if (controller.signal.aborted) break;
+          // A failed repair request leaves the file as it is
+          const changes = broken
+            .map((file, index) => ({ file, result: results[index] }))
+            .filter(({ result }) => result?.status === "fulfilled" && result.value.trim())
+            .map(({ file, result }) => ({ path: file.path, uri: file.uri, content: result.value, exists: true }));
+          if (!changes.length) break;
+          await applyGeneratedFiles(changes, options.transaction);
+          changes.forEach((change) => contents.set(change.path, change.content));
+
+          progress.report({ message: `Round ${rounds}: checking files` });
+          check = await collectProblems(files, settings, controller.signal);
+          check.problems.forEach((_, file) => flagged.add(file));
+        }
+
+        return {
+          rounds,
+          fixed: [...flagged].filter((file) => !check.problems.has(file)),
+          remaining: [...check.problems.keys()].map((file) => ({ path: file, count: check.counts.get(file) ?? 1 })),
+          commandFailure: check.commandFailure,
+          cancelled: controller.signal.aborted,
+          contents,
+        };
+      } finally {
+        cancellation.dispose();
+      }
+    }
+  );
+}
@@ -0,0 +1,72 @@
+import ignore from "ignore";
+
+/**
+ * @typedef {Object} IgnoreSource
+ * @property {string} dir folder holding the ignore file, relative to the index root ("" = root)
+ * @property {string} content gitignore-style patterns
+ */
+
+const depthOf = (dir) => (dir ? dir.split("/").length : 0);
+
+/**
+ * Build a predicate telling whether a root-relative, "/"-separated path is
+ * ignored. Follows .gitignore semantics: patterns are relative to the folder
+ * of the file that defines them, deeper files are applied after their
+ * parents, and a later `!pattern` re-includes a path.
+ * @param {IgnoreSource[]} sources
+ * @param {string[]} [extraPatterns] root-relative patterns applied first
+ * @returns {(relativePath: string) => boolean}
+ */
+export function createIgnoreMatcher(sources, extraPatterns = []) {
+  const rules = [{ dir: "", content: extraPatterns.join("\n") }, ...sources]
+    .filter((source) => source.content && source.content.trim())
+    .sort((a, b) => depthOf(a.dir) - depthOf(b.dir))
+    .map((source) => ({ dir: source.dir, matcher: ignore().add(source.content) }));
+
+  return (relativePath) => {
+    let ignored = false;
+    for (const { dir, matcher } of rules) {
+      if (dir && !relativePath.startsWith(`${dir}/`)) continue;
+      const local = dir ? relativePath.slice(dir.length + 1) : relativePath;
+      if (!local) continue;
+      const result = matcher.test(local);
+      if (result.ignored) ignored = true;
+      else if (result.unignored) ignored = false;
+    }
+    return ignored;
+  };
+}
+
+const bare = (pattern) => pattern.replace(/^\//, "").replace(/\/+$/, "");
+
+/**
+ * Exclude globs (relative to the index root) for everything beneath a path
+ * an ignore pattern matches, so findFiles skips ignored trees before its
+ * result cap applies. Only contents are excluded: a path matching a pattern
+ * may still be re-included by a later `!pattern`, but nothing inside an
+ * ignored folder can be. Patterns the glob syntax cannot express (escapes,
+ * braces, commas) and patterns negated somewhere are left to the matcher.
+ * @param {IgnoreSource[]} sources
+ * @returns {string[]}
+ */
+export function ignoredTreeGlobs(sources) {
+  const lines = sources.flatMap((source) =>
+    source.content
+      .split(/\r?\n/)
+      .map((line) => line.trimEnd())
+      .filter((line) => line && !line.startsWith("#"))
+      .map((line) => ({ dir: source.dir, line }))
+  );
+  const negated = new Set(lines.filter(({ line }) => line.startsWith("!")).map(({ line }) => bare(line.slice(1))));
+
+  const globs = new Set();
+  for (const { dir, line } of lines) {
+    const pattern = bare(line);
+    if (line.startsWith("!") || !pattern || /[\\{},]/.test(pattern) || negated.has(pattern)) continue;
+    // A slash before the end anchors the pattern to the folder of its ignore file
+    const anchored = line.replace(/\/+$/, "").includes("/");
+    const prefix = dir ? `${dir}/` : "";
+    globs.add(anchored ? `${prefix}${pattern}/**` : `${prefix}**/${pattern}/**`);
+  }
+  return [...globs];
+}
@@ -0,0 +1,108 @@
+/**
+ * Rough token estimate (4 chars ≈ 1 token), as used for usage estimates.
+ * @param {string} text
+ */
+export const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+/**
+ * @typedef {Object} PathTreeNode
+ * @property {string} name
+ * @property {Map<string, PathTreeNode>} dirs
+ * @property {string[]} files
+ * @property {number} fileCount files in this folder and all sub-folders
+ */
+
+const createNode = (name) => ({ name, dirs: new Map(), files: [], fileCount: 0 });
+
+/**
+ * Build a folder tree from "/"-separated relative file paths.
+ * @param {string[]} files
+ * @returns {PathTreeNode}
+ */
+export function buildPathTree(files) {
+  const root = createNode("");
+  for (const file of files) {
+    const segments = file.split("/").filter(Boolean);
+    if (!segments.length) continue;
+    let node = root;
+    node.fileCount += 1;
+    for (const segment of segments.slice(0, -1)) {
+      if (!node.dirs.has(segment)) node.dirs.set(segment, createNode(segment));
+      node = node.dirs.get(segment);
+      node.fileCount += 1;
+    }
+    node.files.push(segments[segments.length - 1]);
+  }
+  return root;
+}
+
+const treeDepth = (node) =>
+  node.dirs.size
+    ? 1 + Math.max(...Array.from(node.dirs.values(), (child) => treeDepth(child)))
+    : 1;
+
+/**
+ * Render a tree as indented lines. Folders deeper than maxDepth, or with
+ * more than collapseThreshold direct entries, are collapsed to a file count.
+ * @param {PathTreeNode} root
+ * @param {{ maxDepth?: number; collapseThreshold?: number }} [options]
+ */
+export function renderPathTree(root, options = {}) {
+  const maxDepth = options.maxDepth ?? Infinity;
+  const collapseThreshold = options.collapseThreshold ?? Infinity;
+  const lines = [];
+
+  const visit = (node, depth) => {
+    const indent = "  ".repeat(depth);
+    const dirs = Array.from(node.dirs.values()).sort((a, b) => a.name.localeCompare(b.name));
+    for (const dir of dirs) {
+      const entries = dir.dirs.size + dir.files.length;
+      if (depth + 1 >= maxDepth || entries > collapseThreshold) {
+        lines.push(`${indent}${dir.name}/ (${dir.fileCount} files)`);
+      } else {
+        lines.push(`${indent}${dir.name}/`);
+        visit(dir, depth + 1);
+      }
+    }
+    for (const file of [...node.files].sort((a, b) => a.localeCompare(b))) {
+      lines.push(`${indent}${file}`);
+    }
+  };
+
+  visit(root, 0);
+  return lines.join("\n");
+}
+
+/**
+ * Compact tree summary of the given files that fits in tokenBudget: deeper
+ * levels are collapsed until it fits, then the listing is cut off.
+ * @param {string[]} files
+ * @param {{ tokenBudget?: number; collapseThreshold?: number }} [options]
+ */
+export function summarizePathTree(files, options = {}) {
+  const tokenBudget = options.tokenBudget ?? 1500;
+  const root = buildPathTree(files);
+
+  let text = "";
+  for (let maxDepth = treeDepth(root); maxDepth >= 1; maxDepth -= 1) {
+    text = renderPathTree(root, {
+      maxDepth,
+      collapseThreshold: options.collapseThreshold,
+    });
+    if (estimateTokens(text) <= tokenBudget) {
+      return text;
+    }
+  }
+
+  const lines = text.split("\n");
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTokens(`${line}\n`);
+    if (used + cost > tokenBudget - 10) break;
+    kept.push(line);
+    used += cost;
+  }
+  kept.push(`… (${lines.length - kept.length} more entries)`);
+  return kept.join("\n");
+}
@@ -0,0 +1,62 @@
+/**
+ * @typedef {Object} PlanItem
+ * @property {string} path
+ * @property {"file" | "directory"} pathKind
+ */
+
+/**
+ * @typedef {Object} PlanDiff
+ * @property {PlanItem[]} added
+ * @property {PlanItem[]} removed
+ * @property {Array<{ from: string; to: string; pathKind: "file" | "directory" }>} moved
+ * @property {Array<{ path: string; from: "file" | "directory"; to: "file" | "directory" }>} kindChanged
+ * @property {number} unchanged
+ */
+
+const moveKey = (item) => `${item.pathKind}:${item.path.slice(item.path.lastIndexOf("/") + 1)}`;
+
+const countBy = (items, key) => {
+  const counts = new Map();
+  for (const item of items) counts.set(key(item), (counts.get(key(item)) ?? 0) + 1);
+  return counts;
+};
+
+/**
+ * Changes between two versions of a plan. An entry that disappears while one
+ * with the same name and kind appears elsewhere is reported as moved, as
+ * long as that name occurs once on each side.
+ * @param {PlanItem[]} previous
+ * @param {PlanItem[]} next
+ * @returns {PlanDiff}
+ */
+export function diffPlans(previous, next) {
+  const before = new Map(previous.map((item) => [item.path, item]));
+  const after = new Map(next.map((item) => [item.path, item]));
+
+  const added = next.filter((item) => !before.has(item.path));
+  const removed = previous.filter((item) => !after.has(item.path));
+  const kindChanged = next
+    .filter((item) => before.has(item.path) && before.get(item.path).pathKind !== item.pathKind)
+    .map((item) => ({ path: item.path, from: before.get(item.path).pathKind, to: item.pathKind }));
+  const unchanged = next.filter((item) => before.get(item.path)?.pathKind === item.pathKind).length;
+
+  const addedCounts = countBy(added, moveKey);
+  const removedCounts = countBy(removed, moveKey);
+  const moved = [];
+  for (const from of removed) {
+    const key = moveKey(from);
+    if (removedCounts.get(key) !== 1 || addedCounts.get(key) !== 1) continue;
+    const to = added.find((item) => moveKey(item) === key);
+    moved.push({ from: from.path, to: to.path, pathKind: from.pathKind });
+  }
+  const movedFrom = new Set(moved.map((item) => item.from));
+  const movedTo = new Set(moved.map((item) => item.to));
+
+  return {
+    added: added.filter((item) => !movedTo.has(item.path)),
+    removed: removed.filter((item) => !movedFrom.has(item.path)),
+    moved,
+    kindChanged,
+    unchanged,
+  };
+}
@@ -0,0 +1,253 @@
+import * as vscode from "vscode";
+import * as path from "path";
+
+import { normalizePlanPath, resolvePlanPath, inferPathKind } from "./generatePaths.js";
+import { validatePlan, planAncestors } from "./planValidator.js";
+import { savePlanManifest } from "./applyPlanManifest.js";
+import { diffPlans } from "./planDiff.js";
+import { loadHtmlTemplate, utf8JsonToBase64 } from "./webviewUtils.js";
+
+/**
+ * @typedef {Object} PlanItem
+ * @property {string} path relative, "/"-separated
+ * @property {"file" | "directory"} pathKind
+ */
+
+/**
+ * Normalize the entries returned by the plan editor: drops invalid or
+ * duplicate paths and keeps only the allowed kinds.
+ * @param {any[]} rawItems
+ * @param {{ allowDirectories?: boolean }} [options]
+ * @returns {PlanItem[]}
+ */
+export function sanitizePlanItems(rawItems, options = {}) {
+  const allowDirectories = options.allowDirectories !== false;
+  const seen = new Set();
+  const results = [];
+
+  for (const raw of Array.isArray(rawItems) ? rawItems : []) {
+    if (!raw || typeof raw.path !== "string") continue;
+    let normalized;
+    try {
+      normalized = normalizePlanPath(raw.path);
+    } catch {
+      continue;
+    }
+    if (!normalized || seen.has(normalized)) continue;
+
+    const pathKind =
+      raw.pathKind === "file" || raw.pathKind === "directory"
+        ? raw.pathKind
+        : inferPathKind(normalized);
+    if (pathKind === "directory" && !allowDirectories) continue;
+
+    seen.add(normalized);
+    results.push({ path: normalized, pathKind });
+  }
+
+  return results;
+}
+
+/**
+ * Kinds of the given plan paths and their folders that exist (relative to
+ * baseUri, or to another workspace folder for `root:path` entries).
+ * @param {vscode.Uri} baseUri
+ * @param {string[]} planPaths
+ * @returns {Promise<Record<string, "file" | "directory">>}
+ */
+async function statPlanPaths(baseUri, planPaths) {
+  const targets = new Set();
+  for (const planPath of planPaths) {
+    planAncestors(planPath).forEach((ancestor) => targets.add(ancestor));
+    targets.add(planPath);
+  }
+  const entries = await Promise.all(
+    Array.from(targets, async (planPath) => {
+      try {
+        const stat = await vscode.workspace.fs.stat(resolvePlanPath(baseUri, planPath));
+        return [planPath, stat.type & vscode.FileType.Directory ? "directory" : "file"];
+      } catch {
+        return undefined;
+      }
+    })
+  );
+  return Object.fromEntries(entries.filter(Boolean));
+}
+
+/**
+ * Validate a plan against what exists under baseUri.
+ * @param {vscode.Uri} baseUri
+ * @param {PlanItem[]} items
+ */
+export async function validatePlanOnDisk(baseUri, items) {
+  // Fixes only depend on the paths, so a first pass tells which paths to stat
+  const { items: fixed } = validatePlan(items);
+  const existing = await statPlanPaths(baseUri, fixed.map((item) => item.path));
+  return { ...validatePlan(items, { existing }), existing };
+}
+
+/**
+ * Entries of a validated plan that have no blocking issue.
+ * @param {{ items: PlanItem[]; blocked: string[] }} validation
+ */
+export function applicablePlanItems(validation) {
+  const blocked = new Set(validation.blocked);
+  return validation.items.filter((item) => !blocked.has(item.path));
+}
+
+/**
+ * Opens a webview that shows a path plan as a folder tree. The plan is
+ * validated first: safe fixes are applied, entries that already exist are
+ * marked and entries that cannot be created are shown with the reason and
+ * cannot be selected. Nodes can be renamed, moved, added, deleted and
+ * toggled before anything is created. With `manifest`, the plan can also be
+ * saved as a manifest file. With `refine`, follow-up instructions are sent
+ * together with the current plan and each new version is shown with its
+ * diff against the previous one. `onRename` hears about every entry the
+ * validation renamed or merged, so data kept by path can follow it.
+ * @param {vscode.ExtensionContext} context
+ * @param {PlanItem[]} items
+ * @param {{
+ *   title: string;
+ *   baseUri: vscode.Uri;
+ *   confirmLabel?: string;
+ *   allowDirectories?: boolean;
+ *   manifest?: { instructions?: string; dependencies?: Map<string, string[]> };
+ *   refine?: (followUp: string, plan: PlanItem[]) => Promise<PlanItem[]>;
+ *   onRename?: (renamed: Record<string, string>) => void;
+ * }} options
+ * @returns {Promise<PlanItem[] | undefined>} the enabled entries, or undefined when cancelled;
+ *   rejects when the plan cannot be shown
+ */
+export function openPlanEditor(context, items, options) {
+  const allowDirectories = options.allowDirectories !== false;
+
+  return new Promise((resolve, reject) => {
+    const panel = vscode.window.createWebviewPanel(
+      "planEditor",
+      options.title,
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    let settled = false;
+    const finalize = (value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      resolve(value);
+    };
+
+    /** @param {Record<string, string>} renamed given path -> fixed path */
+    const reportRenames = (renamed) => {
+      if (Object.keys(renamed).length) options.onRename?.(renamed);
+    };
+
+    panel.onDidDispose(() => finalize(undefined));
+    panel.webview.onDidReceiveMessage(async (message) => {
+      try {
+        if (message?.type === "apply") {
+          const validation = await validatePlanOnDisk(
+            options.baseUri,
+            sanitizePlanItems(message.items, { allowDirectories })
+          );
+          reportRenames(validation.renamed);
+          const valid = applicablePlanItems(validation);
+          const skipped = validation.items.length - valid.length;
+          if (skipped) {
+            void vscode.window.showWarningMessage(
+              `${skipped} plan entr${skipped === 1 ? "y" : "ies"} cannot be created and were left out.`
+            );
+          }
+          // A file fixed into a folder is implied by its entries when only files are planned
+          finalize(valid.filter((item) => allowDirectories || item.pathKind === "file"));
+          panel.dispose();
+        } else if (message?.type === "cancel") {
+          finalize(undefined);
+          panel.dispose();
+        } else if (message?.type === "saveManifest" && options.manifest) {
+          try {
+            await savePlanManifest(options.baseUri, {
+              instructions: options.manifest.instructions,
+              entries: sanitizePlanItems(message.items, { allowDirectories }).map((item) => ({
+                ...item,
+                dependsOn: options.manifest.dependencies?.get(item.path),
+              })),
+            });
+          } catch (error) {
+            vscode.window.showErrorMessage(
+              `Could not save the plan manifest: ${error instanceof Error ? error.message : String(error)}`
+            );
+          }
+        } else if (message?.type === "refine" && options.refine && typeof message.instructions === "string") {
+          const current = sanitizePlanItems(message.items, { allowDirectories });
+          try {
+            const next = sanitizePlanItems(await options.refine(message.instructions, current), {
+              allowDirectories,
+            });
+            const { existing, issues, blocked, renamed } = await validatePlanOnDisk(options.baseUri, next);
+            reportRenames(renamed);
+            void panel.webview.postMessage({
+              type: "refined",
+              items: next,
+              diff: diffPlans(current, next),
+              existing,
+              issues,
+              blocked,
+            });
+          } catch (error) {
+            void panel.webview.postMessage({
+              type: "refineFailed",
+              message: error instanceof Error ? error.message : String(error),
+            });
+          }
+        } else if (message?.type === "validate") {
+          const { existing, issues, blocked } = await validatePlanOnDisk(
+            options.baseUri,
+            sanitizePlanItems(message.items, { allowDirectories })
+          );
+          void panel.webview.postMessage({ type: "validation", existing, issues, blocked });
+        }
+      } catch (error) {
+        // Keep the panel open so the plan can be applied again or closed
+        vscode.window.showErrorMessage(
+          `Plan editor: ${error instanceof Error ? error.message : String(error)}`
+        );
+      }
+    });
+
+    void (async () => {
+      const initial = sanitizePlanItems(items, { allowDirectories });
+      const { existing, issues, blocked, renamed } = await validatePlanOnDisk(options.baseUri, initial);
+      reportRenames(renamed);
+      const html = await loadHtmlTemplate(context, panel.webview, "media/plan-editor.html", {
+        INITIAL_DATA: utf8JsonToBase64({
+          title: options.title,
+          root: path.basename(options.baseUri.fsPath),
+          confirmLabel: options.confirmLabel || "Create",
+          allowDirectories,
+          canSaveManifest: Boolean(options.manifest),
+          canRefine: Boolean(options.refine),
+          roots: (vscode.workspace.workspaceFolders ?? []).map((folder) => folder.name),
+          // The webview applies the fixes itself so they are listed with their reasons
+          items: initial,
+          existing,
+          issues,
+          blocked,
+        }),
+      });
+      panel.webview.html = html;
+    })().catch((error) => {
+      // Nothing to edit: the caller reports the error
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+      panel.dispose();
+    });
+  });
+}
@@ -0,0 +1,135 @@
+import yaml from "js-yaml";
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} path plan path, relative to the manifest base
+ * @property {"file" | "directory"} [kind] inferred from the name when missing
+ * @property {string} [instructions] extra instructions for generating this file
+ * @property {string} [content] written as is instead of asking the AI
+ * @property {string[]} [dependsOn] entries this file uses; they are generated first
+ */
+
+/**
+ * @typedef {Object} PlanManifest
+ * @property {number} version
+ * @property {string} [instructions] what the plan was made from; used when generating contents
+ * @property {string} [root] workspace folder name, for multi-root workspaces
+ * @property {string} [base] folder the entries are relative to, relative to the workspace folder
+ * @property {ManifestEntry[]} entries
+ */
+
+/**
+ * Manifest format from a file name: .yaml/.yml is YAML, anything else JSON.
+ * @param {string} fileName
+ * @returns {"yaml" | "json"}
+ */
+export const manifestFormat = (fileName) => (/\.ya?ml$/i.test(fileName) ? "yaml" : "json");
+
+const optionalString = (value) => (typeof value === "string" && value ? value : undefined);
+
+/**
+ * Build a manifest, leaving out empty fields so it stays readable in review.
+ * @param {{ instructions?: string; root?: string; base?: string; entries: Array<{ path: string; pathKind: "file" | "directory"; instructions?: string; content?: string; dependsOn?: string[] }> }} plan
+ * @returns {PlanManifest}
+ */
+export function createManifest(plan) {
+  return JSON.parse(
+    JSON.stringify({
+      version: MANIFEST_VERSION,
+      instructions: optionalString(plan.instructions),
+      root: optionalString(plan.root),
+      base: optionalString(plan.base),
+      entries: plan.entries.map((entry) => ({
+        path: entry.path,
+        kind: entry.pathKind,
+        instructions: optionalString(entry.instructions),
+        content: typeof entry.content === "string" ? entry.content : undefined,
+        dependsOn: entry.dependsOn?.length ? entry.dependsOn : undefined,
+      })),
+    })
+  );
+}
+
+/**
+ * @param {PlanManifest} manifest
+ * @param {"yaml" | "json"} format
+ */
+export function serializeManifest(manifest, format) {
+  if (format === "yaml") {
+    return yaml.dump(manifest, { lineWidth: -1, noRefs: true });
+  }
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * Parse and check a manifest. Entries may also be plain path strings.
+ * Paths are not normalized here; they go through the plan validator like
+ * any other plan.
+ * @param {string} text
+ * @param {"yaml" | "json"} format
+ * @returns {PlanManifest}
+ * @throws {Error} describing the first problem found
+ */
+export function parseManifest(text, format) {
+  let data;
+  try {
+    data = format === "yaml" ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid ${format === "yaml" ? "YAML" : "JSON"}: ${error.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error('Expected an object with an "entries" list');
+  }
+  if (data.version !== undefined && data.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${data.version}`);
+  }
+  for (const key of ["instructions", "root", "base"]) {
+    if (data[key] !== undefined && typeof data[key] !== "string") {
+      throw new Error(`"${key}" must be a string`);
+    }
+  }
+  if (!Array.isArray(data.entries)) {
+    throw new Error('"entries" must be a list');
+  }
+
+  const entries = data.entries.map((raw, index) => {
+    const entry = typeof raw === "string" ? { path: raw } : raw;
+    if (!entry || typeof entry !== "object" || typeof entry.path !== "string" || !entry.path.trim()) {
+      throw new Error(`entries[${index}] needs a "path"`);
+    }
+    if (entry.kind !== undefined && entry.kind !== "file" && entry.kind !== "directory") {
+      throw new Error(`entries[${index}].kind must be "file" or "directory"`);
+    }
+    for (const key of ["instructions", "content"]) {
+      if (entry[key] !== undefined && typeof entry[key] !== "string") {
+        throw new Error(`entries[${index}].${key} must be a string`);
+      }
+    }
+    if (entry.kind === "directory" && entry.content !== undefined) {
+      throw new Error(`entries[${index}] is a directory and cannot have content`);
+    }
+    if (
+      entry.dependsOn !== undefined &&
+      (!Array.isArray(entry.dependsOn) || entry.dependsOn.some((dep) => typeof dep !== "string"))
+    ) {
+      throw new Error(`entries[${index}].dependsOn must be a list of paths`);
+    }
+    return {
+      path: entry.path,
+      kind: entry.kind,
+      instructions: entry.instructions,
+      content: entry.content,
+      dependsOn: entry.dependsOn,
+    };
+  });
+
+  return {
+    version: MANIFEST_VERSION,
+    instructions: data.instructions,
+    root: data.root,
+    base: data.base,
+    entries,
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * @typedef {Object} PlanEntry
+ * @property {string} path normalized plan path ("/"-separated, optional `root:` prefix)
+ * @property {"file" | "directory"} pathKind
+ */
+
+/**
+ * @typedef {Object} PlanIssue
+ * @property {string} path the entry path as it was given
+ * @property {"error" | "warning"} severity errors keep the entry from being applied
+ * @property {"reserved-name" | "invalid-name" | "protected-folder" | "case-collision" | "kind-conflict" | "exists"} code
+ * @property {string} reason
+ * @property {{ path?: string; pathKind?: "file" | "directory"; drop?: boolean }} [fix] already applied to the returned entries
+ */
+
+/** Device names Windows refuses as file names, with or without an extension */
+const RESERVED_NAMES = new Set([
+  "CON",
+  "PRN",
+  "AUX",
+  "NUL",
+  ...Array.from({ length: 9 }, (_, i) => `COM${i + 1}`),
+  ...Array.from({ length: 9 }, (_, i) => `LPT${i + 1}`),
+]);
+
+/** Folders owned by package managers and git */
+const PROTECTED_FOLDERS = new Set(["node_modules", ".git"]);
+
+const INVALID_CHARS = new Set(["<", ">", ":", '"', "|", "?", "*"]);
+
+/**
+ * Split a `root:path` plan entry that targets another workspace folder of a
+ * multi-root workspace. Drive letters such as C:/ or C:\ are not roots.
+ * @param {string} value
+ * @returns {{ root?: string; path: string }}
+ */
+export function splitRootPath(value) {
+  const match = /^([^/\\:]+):(?![/\\])(.+)$/.exec(value);
+  return match ? { root: match[1], path: match[2] } : { path: value };
+}
+
+const joinPlanPath = (root, segments) => (root ? `${root}:` : "") + segments.join("/");
+
+/**
+ * Folders above a plan path, outermost first: "web:a/b/c.js" -> ["web:a", "web:a/b"].
+ * @param {string} planPath
+ */
+export function planAncestors(planPath) {
+  const { root, path: rest } = splitRootPath(planPath);
+  const segments = rest.split("/");
+  return segments.slice(0, -1).map((_, i) => joinPlanPath(root, segments.slice(0, i + 1)));
+}
+
+const hasExtension = (name) => name.includes(".") && !name.startsWith(".");
+
+/**
+ * Make one path segment a valid name on every platform.
+ * @param {string} segment
+ * @returns {{ value: string; code?: "reserved-name" | "invalid-name"; reason?: string }}
+ */
+function fixSegment(segment) {
+  let value = Array.from(segment, (char) =>
+    INVALID_CHARS.has(char) || char.charCodeAt(0) < 32 ? "_" : char
+  ).join("");
+  let code;
+  let reason;
+  if (value !== segment) {
+    code = "invalid-name";
+    reason = `"${segment}" contains characters that are not allowed in file names`;
+  }
+
+  // Windows drops trailing dots and spaces
+  const trimmed = value.replace(/[. ]+$/, "");
+  if (trimmed !== value) {
+    value = trimmed;
+    code ??= "invalid-name";
+    reason ??= `"${segment}" ends with a dot or space`;
+  }
+
+  const stem = value.split(".")[0];
+  if (RESERVED_NAMES.has(stem.toUpperCase())) {
+    value = `${stem}_${value.slice(stem.length)}`;
+    code = "reserved-name";
+    reason = `"${stem}" is a reserved device name on Windows`;
+  }
+
+  return { value, code, reason };
+}
+
+/**
+ * Check a plan before anything is created. Reports per entry: names Windows
+ * cannot create, paths inside node_modules or .git, entries that differ only
+ * by letter case, paths planned as both a file and a folder, and conflicts
+ * with what already exists. Name problems, case duplicates and extensionless
+ * files that other entries live in are fixed; everything else that cannot be
+ * created is an error.
+ * @param {PlanEntry[]} entries
+ * @param {{ existing?: Record<string, "file" | "directory"> }} [options] kinds of the plan paths and their folders that exist on disk
+ * @returns {{ items: PlanEntry[]; issues: PlanIssue[]; blocked: string[]; renamed: Record<string, string> }} the fixed entries (blocked ones included), the issues found, the paths of the entries that cannot be created and the new path of every entry whose path was fixed or merged, by its given path
+ */
+export function validatePlan(entries, options = {}) {
+  const existing = options.existing ?? {};
+  /** @type {PlanIssue[]} */
+  const issues = [];
+  const blocked = new Set();
+  const block = (entry, code, reason) => {
+    issues.push({ path: entry.source, severity: "error", code, reason });
+    blocked.add(entry);
+  };
+
+  // Names
+  const fixed = [];
+  for (const entry of entries) {
+    const { root, path: rest } = splitRootPath(entry.path);
+    const segments = [];
+    const fixes = [];
+    let invalid;
+    for (const segment of rest.split("/")) {
+      const result = fixSegment(segment);
+      if (!result.value) invalid ??= `"${segment}" is not a valid name`;
+      if (result.code) fixes.push(result);
+      segments.push(result.value);
+    }
+
+    const current = { source: entry.path, path: joinPlanPath(root, segments), pathKind: entry.pathKind };
+    fixed.push(current);
+    if (invalid) {
+      block(current, "invalid-name", invalid);
+      continue;
+    }
+    if (fixes.length) {
+      issues.push({
+        path: entry.path,
+        severity: "warning",
+        code: fixes[0].code,
+        reason: `${fixes.map((item) => item.reason).join("; ")}; renamed to "${current.path}"`,
+        fix: { path: current.path },
+      });
+    }
+    const protectedSegment = segments.find((segment) => PROTECTED_FOLDERS.has(segment.toLowerCase()));
+    if (protectedSegment) {
+      block(current, "protected-folder", `Inside ${protectedSegment}, which is managed outside the project sources`);
+    }
+  }
+
+  // Entries that differ only by letter case map to the same file on Windows and macOS
+  const byKey = new Map();
+  const kept = [];
+  /** Given path -> path of the entry it was merged into */
+  const merged = new Map();
+  for (const entry of fixed) {
+    const key = entry.path.toLowerCase();
+    const first = byKey.get(key);
+    if (!first) {
+      byKey.set(key, entry);
+      kept.push(entry);
+    } else if (first.pathKind === entry.pathKind) {
+      merged.set(entry.source, first.path);
+      issues.push({
+        path: entry.source,
+        severity: "warning",
+        code: "case-collision",
+        reason: `Same path as "${first.path}" apart from letter case; merged into it`,
+        fix: { drop: true },
+      });
+    } else {
+      kept.push(entry);
+      block(entry, "kind-conflict", `"${first.path}" is also planned as a ${first.pathKind === "file" ? "file" : "folder"}`);
+    }
+  }
+
+  // A file cannot hold other entries
+  const folderKeys = new Set();
+  for (const entry of kept) {
+    for (const ancestor of planAncestors(entry.path)) folderKeys.add(ancestor.toLowerCase());
+  }
+  for (const entry of kept) {
+    if (entry.pathKind !== "file" || !folderKeys.has(entry.path.toLowerCase()) || blocked.has(entry)) continue;
+    const name = entry.path.slice(entry.path.lastIndexOf("/") + 1);
+    if (hasExtension(name)) {
+      block(entry, "kind-conflict", "Planned as a file, but other entries are inside it");
+    } else {
+      entry.pathKind = "directory";
+      issues.push({
+        path: entry.source,
+        severity: "warning",
+        code: "kind-conflict",
+        reason: "Other entries are inside it; planned as a folder instead",
+        fix: { path: entry.path, pathKind: "directory" },
+      });
+    }
+  }
+
+  // What is already on disk
+  for (const entry of kept) {
+    if (blocked.has(entry)) continue;
+    const fileAncestor = planAncestors(entry.path).find((ancestor) => existing[ancestor] === "file");
+    const kind = existing[entry.path];
+    if (fileAncestor) {
+      block(entry, "kind-conflict", `"${fileAncestor}" already exists as a file`);
+    } else if (kind && kind !== entry.pathKind) {
+      block(entry, "kind-conflict", `Already exists as a ${kind === "file" ? "file" : "folder"}`);
+    } else if (kind) {
+      issues.push({
+        path: entry.source,
+        severity: "warning",
+        code: "exists",
+        reason: entry.pathKind === "file" ? "Already exists" : "Folder already exists",
+      });
+    }
+  }
+
+  /** @type {Record<string, string>} */
+  const renamed = Object.fromEntries(merged);
+  for (const entry of kept) {
+    if (entry.path !== entry.source) renamed[entry.source] = entry.path;
+  }
+
+  return {
+    items: kept.map((entry) => ({ path: entry.path, pathKind: entry.pathKind })),
+    issues,
+    blocked: kept.filter((entry) => blocked.has(entry)).map((entry) => entry.path),
+    renamed,
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * @typedef {Object} ScaffoldTemplate
+ * @property {string} name
+ * @property {string[]} match phrases such as "node api"; a phrase matches when
+ *   all of its words occur in the instructions, in any order
+ * @property {string[]} [paths] directories of the plan
+ * @property {string[]} [files] files of the plan
+ */
+
+const words = (text) => text.toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+
+/**
+ * Keep the well-formed templates of the `ai.scaffoldTemplates` setting.
+ * @param {any} raw
+ * @returns {ScaffoldTemplate[]}
+ */
+export function sanitizeScaffoldTemplates(raw) {
+  const strings = (value) =>
+    Array.isArray(value) ? value.filter((item) => typeof item === "string" && item.trim()) : [];
+  return (Array.isArray(raw) ? raw : [])
+    .filter((item) => item && typeof item === "object" && typeof item.name === "string")
+    .map((item) => ({
+      name: item.name,
+      match: strings(typeof item.match === "string" ? [item.match] : item.match),
+      paths: strings(item.paths),
+      files: strings(item.files),
+    }))
+    .filter((item) => item.match.length && (item.paths.length || item.files.length));
+}
+
+/**
+ * Best template for the instructions: the one whose matching phrases cover
+ * the most words. Ties go to the template listed first.
+ * @param {ScaffoldTemplate[]} templates
+ * @param {string} instructions
+ * @returns {ScaffoldTemplate | undefined}
+ */
+export function matchScaffoldTemplate(templates, instructions) {
+  const present = new Set(words(instructions));
+  let best;
+  let bestScore = 0;
+  for (const template of templates) {
+    const score = template.match
+      .map(words)
+      .filter((phrase) => phrase.length && phrase.every((word) => present.has(word)))
+      .reduce((sum, phrase) => sum + phrase.length, 0);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Plan payload of a template, in the `{ paths, files }` shape the AI answers
+ * with, limited to the requested kinds.
+ * @param {ScaffoldTemplate} template
+ * @param {{ path?: boolean; file?: boolean }} [options]
+ */
+export function scaffoldPlan(template, options = {}) {
+  return {
+    paths: options.path === false ? [] : [...template.paths],
+    files: options.file === false ? [] : [...template.files],
+  };
+}
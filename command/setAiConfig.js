@@ -0,0 +1,299 @@
+import * as vscode from "vscode";
+
+import {
+  getAIProvider,
+  getActiveProfile,
+  getApiKey,
+  getConfigScope,
+  inspectAiSetting,
+  setApiKey,
+  getProfiles,
+  saveProfiles,
+} from "../config/ai.js";
+
+const PROVIDER_ITEMS = [
+  {
+    label: "OpenAI-compatible",
+    description: "Chat Completions API (OpenAI, gateways, Ollama, ...)",
+    value: "openai",
+  },
+  { label: "Anthropic", description: "Messages API", value: "anthropic" },
+  {
+    label: "VS Code Language Models",
+    description: "Models provided to VS Code (vscode.lm), no API key needed",
+    value: "vscode-lm",
+  },
+  {
+    label: "Mock (offline)",
+    description: "Replay recorded fixtures from ai.mock.fixturesDir",
+    value: "mock",
+  },
+];
+
+/** Precedence of each scope; a narrower scope overrides a wider one */
+const SCOPE_RANK = {
+  Default: 0,
+  User: 1,
+  Workspace: 2,
+  "Workspace Folder": 3,
+};
+
+/**
+ * @param {unknown} value
+ */
+const describeScopedValue = (value) =>
+  value === undefined ? "not set" : `currently ${JSON.stringify(value)}`;
+
+/**
+ * Ask where a top-level `ai.<key>` value should be written. Each option shows
+ * the value currently stored at that scope. Without an open workspace the
+ * user settings are the only choice.
+ * @param {string} key
+ * @returns {Promise<{ target: vscode.ConfigurationTarget; scope?: vscode.Uri } | undefined>}
+ */
+async function pickConfigurationTarget(key) {
+  const folders = vscode.workspace.workspaceFolders ?? [];
+  if (!folders.length) {
+    return { target: vscode.ConfigurationTarget.Global };
+  }
+
+  const scope = getConfigScope();
+  const inspected = vscode.workspace.getConfiguration("ai", scope).inspect(key);
+  const items = [
+    {
+      label: "User",
+      description: describeScopedValue(inspected?.globalValue),
+      detail: "Applies to every workspace on this machine",
+      target: vscode.ConfigurationTarget.Global,
+    },
+    {
+      label: "Workspace",
+      description: describeScopedValue(inspected?.workspaceValue),
+      detail: "Applies only to this workspace",
+      target: vscode.ConfigurationTarget.Workspace,
+    },
+  ];
+  if (vscode.workspace.workspaceFile) {
+    items.push({
+      label: "Workspace Folder",
+      description: "choose a folder",
+      detail: "Applies only to one folder of this multi-root workspace",
+      target: vscode.ConfigurationTarget.WorkspaceFolder,
+    });
+  }
+
+  const pick = await vscode.window.showQuickPick(items, {
+    placeHolder: `Where should ai.${key} be saved?`,
+    ignoreFocusOut: true,
+  });
+  if (!pick) {
+    return undefined;
+  }
+  if (pick.target !== vscode.ConfigurationTarget.WorkspaceFolder) {
+    return { target: pick.target, scope };
+  }
+
+  const folder =
+    folders.length === 1
+      ? folders[0]
+      : await vscode.window.showWorkspaceFolderPick({
+          placeHolder: `Select the folder whose ai.${key} should be set`,
+          ignoreFocusOut: true,
+        });
+  return folder ? { target: pick.target, scope: folder.uri } : undefined;
+}
+
+/**
+ * Write a value for the active profile. Without an active profile the
+ * top-level `ai.<key>` setting is updated at a scope chosen by the user.
+ * @param {string} profileName
+ * @param {"provider" | "apiUrl" | "model"} key
+ * @param {string} value
+ */
+async function updateProfileValue(profileName, key, value) {
+  if (!profileName) {
+    const destination = await pickConfigurationTarget(key);
+    if (!destination) {
+      return;
+    }
+    await vscode.workspace
+      .getConfiguration("ai", destination.scope)
+      .update(key, value, destination.target);
+
+    const targetRank = {
+      [vscode.ConfigurationTarget.Global]: SCOPE_RANK.User,
+      [vscode.ConfigurationTarget.Workspace]: SCOPE_RANK.Workspace,
+      [vscode.ConfigurationTarget.WorkspaceFolder]: SCOPE_RANK["Workspace Folder"],
+    }[destination.target];
+    const effective = inspectAiSetting(key);
+    if (effective.value !== value && SCOPE_RANK[effective.source] > targetRank) {
+      void vscode.window.showWarningMessage(
+        `ai.${key} was saved, but ${JSON.stringify(effective.value)} from ${effective.source} settings still takes precedence.`
+      );
+    }
+    return;
+  }
+
+  const profiles = getProfiles().map((profile) =>
+    profile.name === profileName ? { ...profile, [key]: value } : profile
+  );
+  await saveProfiles(profiles);
+}
+
+/**
+ * Effective value of a setting and where it comes from, for the Set Config
+ * menu, e.g. "gpt-4o-mini · Workspace".
+ * @param {ReturnType<typeof getActiveProfile>} active
+ * @param {"provider" | "apiUrl" | "model"} key
+ */
+function describeEffectiveValue(active, key) {
+  const value = active[key] || (key === "apiUrl" ? "(provider default)" : "");
+  const source = active.name
+    ? `profile "${active.name}"`
+    : inspectAiSetting(key).source;
+  return `${value} · ${source}`;
+}
+
+/**
+ * Command: AI: Set Config
+ * Sets the provider, API key, base URL or model of the active profile.
+ */
+export async function setAiConfig() {
+  const active = getActiveProfile();
+  const configList = [
+    {
+      label: "Provider",
+      description: describeEffectiveValue(active, "provider"),
+      value: "provider",
+    },
+    {
+      label: "API Key",
+      description: `${getApiKey(active.name) ? "stored" : "not set"} · secret storage`,
+      value: "api",
+    },
+    {
+      label: "URL",
+      description: describeEffectiveValue(active, "apiUrl"),
+      value: "url",
+    },
+    {
+      label: "Model",
+      description: describeEffectiveValue(active, "model"),
+      value: "model",
+    },
+  ];
+  const selectedConfig = await vscode.window.showQuickPick(configList, {
+    placeHolder: active.name
+      ? `Select AI configuration to set (profile: ${active.name})`
+      : "Select AI configuration to set",
+    ignoreFocusOut: true,
+  });
+  if (!selectedConfig) {
+    return;
+  }
+
+  if (selectedConfig.value === "provider") {
+    const providerPick = await vscode.window.showQuickPick(
+      PROVIDER_ITEMS.map((item) => ({
+        ...item,
+        label: `${item.value === active.provider ? "$(check) " : ""}${item.label}`,
+      })),
+      {
+        placeHolder: "Select the AI provider",
+        ignoreFocusOut: true,
+      }
+    );
+    if (!providerPick) {
+      return;
+    }
+    await updateProfileValue(active.name, "provider", providerPick.value);
+  } else if (selectedConfig.value === "api") {
+    if (getApiKey(active.name)) {
+      const keyAction = await vscode.window.showQuickPick(
+        [
+          { label: "Replace API key", value: "replace" },
+          { label: "Remove API key", description: "delete it from secret storage", value: "remove" },
+        ],
+        {
+          placeHolder: "An API key is already stored",
+          ignoreFocusOut: true,
+        }
+      );
+      if (!keyAction) {
+        return;
+      }
+      if (keyAction.value === "remove") {
+        const confirmed = await vscode.window.showWarningMessage(
+          active.name
+            ? `Remove the API key of profile "${active.name}"?`
+            : "Remove the stored API key?",
+          { modal: true },
+          "Remove"
+        );
+        if (confirmed === "Remove") {
+          await setApiKey("", active.name);
+        }
+        return;
+      }
+    }
+    const apiKey = await vscode.window.showInputBox({
+      prompt: "Enter your AI API Key (stored in VS Code secret storage)",
+      placeHolder: "sk-...",
+      password: true,
+      ignoreFocusOut: true,
+    });
+    // An empty entry keeps the stored key; removing it is a separate choice
+    if (!apiKey || !apiKey.trim()) {
+      return;
+    }
+    await setApiKey(apiKey, active.name);
+  } else if (selectedConfig.value === "url") {
+    const apiUrl = await vscode.window.showInputBox({
+      prompt: "Enter your AI API URL",
+      value: active.apiUrl,
+      ignoreFocusOut: true,
+    });
+    if (apiUrl === undefined) {
+      return;
+    } else {
+      await updateProfileValue(active.name, "apiUrl", apiUrl);
+    }
+  } else if (selectedConfig.value === "model") {
+    try {
+      const modelIds = await getAIProvider().listModels();
+      const modelItems = modelIds
+        .map((id) => ({ label: id }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+      if (!modelItems.length) {
+        void vscode.window.showInformationMessage(
+          "No models available from the AI provider."
+        );
+        return;
+      }
+
+      const aiModel = await vscode.window.showQuickPick(modelItems, {
+        placeHolder: "Select AI Model",
+        ignoreFocusOut: true,
+      });
+      if (!aiModel) {
+        return;
+      }
+
+      // Persist only the model id/label as string
+      /** @type {any} */
+      const modelPick = aiModel;
+      const modelId = typeof modelPick === "string" ? modelPick : (modelPick && modelPick.label) || "";
+      await updateProfileValue(active.name, "model", modelId);
+    } catch (error) {
+      const message =
+        error instanceof Error ? error.message : String(error);
+      void vscode.window.showErrorMessage(
+        `Failed to fetch models: ${message}`
+      );
+    }
+  }
+}
+
+export { PROVIDER_ITEMS };
+
+export default setAiConfig;
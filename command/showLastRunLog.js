@@ -0,0 +1,90 @@
+import * as vscode from "vscode";
+import * as fs from "fs/promises";
+
+import {
+  getLastRunEntries,
+  getLogFileUri,
+  showAiLogChannel,
+} from "../config/logger.js";
+
+/** How much of the end of the log file is read to find the last run */
+const TAIL_BYTES = 1024 * 1024;
+
+/**
+ * The last `TAIL_BYTES` of a file, without the partial line it may start with.
+ * @param {string} file
+ * @returns {Promise<string>}
+ */
+async function readTail(file) {
+  const handle = await fs.open(file, "r");
+  try {
+    const { size } = await handle.stat();
+    const start = Math.max(0, size - TAIL_BYTES);
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    const text = buffer.toString("utf8");
+    return start > 0 ? text.slice(text.indexOf("\n") + 1) : text;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Entries of the last run recorded in the JSONL log file (used after a
+ * reload, when nothing is in memory yet). Only the end of the file is read.
+ * @returns {Promise<import("../config/logger.js").AIRequestLogEntry[]>}
+ */
+async function readLastRunFromFile() {
+  const fileUri = getLogFileUri();
+  if (!fileUri) {
+    return [];
+  }
+
+  let text;
+  try {
+    text = await readTail(fileUri.fsPath);
+  } catch {
+    return [];
+  }
+
+  const entries = text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return undefined;
+      }
+    })
+    .filter(Boolean);
+  const last = [...entries].reverse().find((entry) => entry.runId);
+  return last ? entries.filter((entry) => entry.runId === last.runId) : [];
+}
+
+/**
+ * Command: AI: Open Last Run Log
+ * Opens the (redacted) request log of the most recent command run as JSON.
+ */
+export async function showLastRunLog() {
+  let entries = getLastRunEntries();
+  if (!entries.length) {
+    entries = await readLastRunFromFile();
+  }
+
+  if (!entries.length) {
+    showAiLogChannel();
+    void vscode.window.showInformationMessage(
+      "No AI requests have been logged yet. Showing the AI output channel."
+    );
+    return;
+  }
+
+  const doc = await vscode.workspace.openTextDocument({
+    language: "json",
+    content: JSON.stringify(entries, null, 2),
+  });
+  await vscode.window.showTextDocument(doc, { preview: false });
+}
+
+export default showLastRunLog;
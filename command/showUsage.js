@@ -0,0 +1,187 @@
+import * as vscode from "vscode";
+
+import { loadUsage, clearUsage, dayKey } from "../config/usage.js";
+
+const BREAKDOWN_DAYS = 30;
+const RECENT_RUNS = 15;
+
+/**
+ * @param {number} value
+ */
+const formatNumber = (value) => Math.round(value).toLocaleString("en-US");
+
+/**
+ * @param {number} value
+ */
+const formatCost = (value) => (value > 0 ? `$${value.toFixed(4)}` : "-");
+
+/**
+ * Usage entries recorded within the last `days` calendar days.
+ * @param {import("../config/usage.js").UsageData} data
+ * @param {number} days
+ * @returns {import("../config/usage.js").UsageEntry[]}
+ */
+function entriesSince(data, days) {
+  const since = new Date();
+  since.setDate(since.getDate() - (days - 1));
+  const firstDay = dayKey(since);
+  return Object.entries(data.days)
+    .filter(([day]) => day >= firstDay)
+    .flatMap(([, entries]) => Object.values(entries));
+}
+
+/**
+ * @param {import("../config/usage.js").UsageEntry[]} entries
+ * @returns {import("../config/usage.js").UsageTotals}
+ */
+function sumTotals(entries) {
+  const total = { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  for (const entry of entries) {
+    total.requests += entry.requests;
+    total.promptTokens += entry.promptTokens;
+    total.completionTokens += entry.completionTokens;
+    total.cost += entry.cost;
+    if (entry.estimated) total.estimated = true;
+  }
+  return total;
+}
+
+/**
+ * @param {import("../config/usage.js").UsageEntry[]} entries
+ * @param {(entry: import("../config/usage.js").UsageEntry) => string} keyOf
+ * @returns {Array<[string, import("../config/usage.js").UsageTotals]>}
+ */
+function groupTotals(entries, keyOf) {
+  /** @type {Map<string, import("../config/usage.js").UsageEntry[]>} */
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    groups.set(key, [...(groups.get(key) ?? []), entry]);
+  }
+  return Array.from(groups.entries())
+    .map(([key, group]) => /** @type {[string, import("../config/usage.js").UsageTotals]} */ ([key, sumTotals(group)]))
+    .sort((a, b) => b[1].cost - a[1].cost || b[1].requests - a[1].requests);
+}
+
+/**
+ * @param {string} heading
+ * @param {Array<[string, import("../config/usage.js").UsageTotals]>} rows
+ */
+function renderTable(heading, rows) {
+  const lines = [
+    `| ${heading} | Requests | Prompt tokens | Completion tokens | Cost |`,
+    "| --- | ---: | ---: | ---: | ---: |",
+  ];
+  for (const [label, totals] of rows) {
+    const mark = totals.estimated ? "~" : "";
+    lines.push(
+      `| ${label || "(none)"} | ${totals.requests} | ${mark}${formatNumber(totals.promptTokens)} | ${mark}${formatNumber(totals.completionTokens)} | ${formatCost(totals.cost)} |`
+    );
+  }
+  if (!rows.length) {
+    lines.push("| (no usage) | | | | |");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Build the Markdown usage report.
+ * @param {import("../config/usage.js").UsageData} data
+ */
+export function buildUsageReport(data) {
+  /** @type {Array<[string, number]>} */
+  const periods = [
+    ["Today", 1],
+    ["Last 7 days", 7],
+    [`Last ${BREAKDOWN_DAYS} days`, BREAKDOWN_DAYS],
+  ];
+  /** @type {Array<[string, import("../config/usage.js").UsageTotals]>} */
+  const summaryRows = periods.map(([label, days]) => [
+    label,
+    sumTotals(entriesSince(data, days)),
+  ]);
+
+  const recent = entriesSince(data, BREAKDOWN_DAYS);
+  const runs = data.runs.slice(-RECENT_RUNS).reverse();
+  const runLines = [
+    "| Started | Command | Template | Requests | Tokens | Cost |",
+    "| --- | --- | --- | ---: | ---: | ---: |",
+    ...runs.map((run) => {
+      const tokens = run.totals.promptTokens + run.totals.completionTokens;
+      return `| ${new Date(run.startedAt).toLocaleString()} | ${run.command} | ${run.template || ""} | ${run.totals.requests} | ${run.totals.estimated ? "~" : ""}${formatNumber(tokens)} | ${formatCost(run.totals.cost)} |`;
+    }),
+  ];
+  if (!runs.length) {
+    runLines.push("| (no runs yet) | | | | | |");
+  }
+
+  return [
+    "# AI Usage",
+    "",
+    "Costs use the `ai.pricing` table (USD per 1M tokens). Values marked `~` are estimates for providers that do not report token usage.",
+    "",
+    "## Summary",
+    "",
+    renderTable("Period", summaryRows),
+    "",
+    `## By command (last ${BREAKDOWN_DAYS} days)`,
+    "",
+    renderTable("Command", groupTotals(recent, (entry) => entry.command)),
+    "",
+    `## By template (last ${BREAKDOWN_DAYS} days)`,
+    "",
+    renderTable(
+      "Template",
+      groupTotals(
+        recent.filter((entry) => entry.template),
+        (entry) => entry.template
+      )
+    ),
+    "",
+    `## By model (last ${BREAKDOWN_DAYS} days)`,
+    "",
+    renderTable("Model", groupTotals(recent, (entry) => entry.model)),
+    "",
+    "## Recent runs",
+    "",
+    runLines.join("\n"),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Command: AI: Show Usage
+ */
+export async function showUsage() {
+  const action = await vscode.window.showQuickPick(
+    [
+      { label: "📊 Show usage report", value: "show" },
+      { label: "🗑️ Clear usage data", value: "clear" },
+    ],
+    { placeHolder: "AI usage", ignoreFocusOut: true }
+  );
+  if (!action) {
+    return;
+  }
+
+  if (action.value === "clear") {
+    const confirm = await vscode.window.showWarningMessage(
+      "Clear all recorded AI usage?",
+      { modal: true },
+      "Clear"
+    );
+    if (confirm === "Clear") {
+      await clearUsage();
+      void vscode.window.showInformationMessage("AI usage data cleared.");
+    }
+    return;
+  }
+
+  const doc = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: buildUsageReport(loadUsage()),
+  });
+  await vscode.commands.executeCommand("markdown.showPreview", doc.uri);
+}
+
+export default showUsage;
@@ -1,7 +1,10 @@
 import * as vscode from "vscode";
 import * as path from "path";
 
-import { getGlobalAI } from "../config/ai.js";
+import { getAIModel } from "../config/ai.js";
+import { requestChat, getRequestSettings } from "../config/request.js";
+import { mapWithConcurrency } from "../config/concurrency.js";
+import { startRun, finishRun } from "../config/usage.js";
 import {
 	parsePlaceholders,
 	fillPlaceholders,
@@ -10,14 +13,33 @@ import {
 } from "./promptUtils.js";
 import {
 	buildExistingPathsSummary,
+	resolveBaseFolder,
+	formatExistingPaths,
+	resolvePlanPath,
 	requestPathPlan,
+	createPlanRefiner,
 	coerceGeneratedPaths,
-	normalizeSegments,
 } from "./generatePaths.js";
-import { extractCodeFromText } from "./createProjectByAI.js";
+import { extractCodeFromText, readDependencyFiles } from "./createProjectByAI.js";
+import { openPlanEditor } from "./planEditor.js";
+import {
+	reviewAndApplyGeneratedFiles,
+	createStreamingPreviews,
+	isStreamToEditorEnabled,
+} from "./generationReview.js";
+import { commitGeneration } from "./generationHistory.js";
+import { createTransaction } from "./generationTransaction.js";
+import { verifyGeneratedFiles } from "./generationVerify.js";
+import { describeVerification } from "./verification.js";
+import {
+	collectDependencies,
+	dependencyIndexes,
+	formatDependencyContext,
+	renameDependencies,
+} from "./generationOrder.js";
+import { loadHtmlTemplate, utf8JsonToBase64 } from "./webviewUtils.js";
 
 const PROMPT_STORAGE_KEY = "extension.promptTemplates";
-const FALLBACK_MODEL = "gpt-4.1-mini";
 
 /**
  * แปลงผลลัพธ์แผน path ของ AI ให้เป็นรายการไฟล์เท่านั้น
@@ -30,15 +52,6 @@ function extractFileItemsFromPlan(planPayload) {
 	return items.filter((item) => item.pathKind === "file");
 }
 
-/**
- * Utility: serialize arbitrary data to base64 with explicit UTF-8 encoding.
- * Ensures non-ASCII input remains intact when injected into HTML templates.
- * @param {any} data
- */
-function utf8JsonToBase64(data) {
-	return Buffer.from(JSON.stringify(data), "utf8").toString("base64");
-}
-
 /**
  * @typedef {Object} PromptTemplate
  * @property {string} id
@@ -403,9 +416,9 @@ async function handleSearchPrompts(context) {
 
 	switch (action.value) {
 	  case "run":
-	    const filledPrompt = await collectPromptValues(context, template.content);
+	    const filledPrompt = await collectPromptValues(context, template.content, template.name);
 	    if (filledPrompt) {
-	      await runPromptExecution(filledPrompt, template.name);
+	      await runPromptExecution(context, filledPrompt, template.name);
 	    }
 	    break;
 	  case "edit":
@@ -445,7 +458,26 @@ async function pickTemplateQuickPick(templates, options) {
   );
 }
 
-async function handleRunPrompt(context) {
+/**
+ * Explorer context menu: "Run Prompt Template Here"
+ * รัน template โดยสร้างไฟล์ภายใต้โฟลเดอร์ที่คลิก
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.Uri} [folderUri]
+ */
+export async function runPromptTemplateHere(context, folderUri) {
+	try {
+		await handleRunPrompt(context, folderUri);
+	} catch (error) {
+		const message = error instanceof Error ? error.message : String(error);
+		void vscode.window.showErrorMessage(`Run Prompt Template failed: ${message}`);
+	}
+}
+
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.Uri} [baseUri] โฟลเดอร์ฐาน (ค่าเริ่มต้น workspace folder แรก)
+ */
+async function handleRunPrompt(context, baseUri) {
   const templates = loadTemplates(context);
   if (!templates.length) {
     void vscode.window.showInformationMessage("ยังไม่มี prompt template ให้รัน");
@@ -487,22 +519,23 @@ async function handleRunPrompt(context) {
 			`Template Preview: ${template.name}\n\n${template.content.slice(0, 200)}${template.content.length > 200 ? '...' : ''}`,
 			{ modal: true }
 		);
-		return await handleRunPrompt(context); // Return to selection
+		return await handleRunPrompt(context, baseUri); // Return to selection
 	}
 
-	const filledPrompt = await collectPromptValues(context, template.content);
+	const filledPrompt = await collectPromptValues(context, template.content, template.name);
 	if (!filledPrompt) {
 		return;
 	}
 
-	await runPromptExecution(filledPrompt, template.name);
+	await runPromptExecution(context, filledPrompt, template.name, baseUri);
 }
 
 /**
  * Collect placeholder values, returning the filled prompt string.
  * @param {string} templateContent
+ * @param {string} [templateName] used to attribute {{ai|...}} field usage
  */
-async function collectPromptValues(context, templateContent) {
+async function collectPromptValues(context, templateContent, templateName = "") {
 	const choiceTokens = parseChoicePlaceholders(templateContent);
 	const templateWithoutChoices = fillChoicePlaceholders(
 		templateContent,
@@ -514,7 +547,7 @@ async function collectPromptValues(context, templateContent) {
 		return templateContent;
 	}
 
-	const formResult = await openPromptForm(context, simplePlaceholders, choiceTokens, templateContent);
+	const formResult = await openPromptForm(context, simplePlaceholders, choiceTokens, templateContent, templateName);
 	if (!formResult) {
 		return undefined;
 	}
@@ -531,16 +564,30 @@ async function collectPromptValues(context, templateContent) {
 	return fillPlaceholders(afterChoiceFilled, formResult.simpleValues || {});
 }
 
-async function runPromptExecution(finalPrompt, templateName) {
-	const workspaceFolders = vscode.workspace.workspaceFolders;
-	if (!workspaceFolders || workspaceFolders.length === 0) {
-		void vscode.window.showErrorMessage("No workspace folder is open");
-		return;
+async function runPromptExecution(context, finalPrompt, templateName, baseUri) {
+	const run = startRun("promptTemplate", { template: templateName });
+	try {
+		await executePromptRun(context, finalPrompt, templateName, run, baseUri);
+	} finally {
+		await finishRun(run);
 	}
+}
 
-	const workspaceFolder = workspaceFolders[0];
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {string} finalPrompt
+ * @param {string} templateName
+ * @param {import("../config/usage.js").AIRun} run
+ * @param {vscode.Uri} [baseUri]
+ */
+async function executePromptRun(context, finalPrompt, templateName, run, baseUri) {
+	const target = await resolveBaseFolder(baseUri);
+	if (!target) {
+		return;
+	}
 
-	const existingSummary = await buildExistingPathsSummary(workspaceFolder, 100);
+	const existingSummary = await buildExistingPathsSummary(target.baseUri);
+	const model = getAIModel();
 
 	let planPayload;
 	await vscode.window.withProgress(
@@ -552,12 +599,12 @@ async function runPromptExecution(finalPrompt, templateName) {
 		async (progress) => {
 			progress.report({ increment: 0 });
 
-			const config = vscode.workspace.getConfiguration();
-			const model = config.get("ai.model") || FALLBACK_MODEL;
 			planPayload = await requestPathPlan(
 				model,
 				finalPrompt,
-				existingSummary
+				existingSummary,
+				undefined,
+				{ run }
 			);
 
 			progress.report({ increment: 100 });
@@ -570,45 +617,40 @@ async function runPromptExecution(finalPrompt, templateName) {
 		void vscode.window.showInformationMessage("AI ไม่ได้เสนอไฟล์ให้สร้าง");
 		return;
 	}
-
-	const fileChoices = generated.map((item) => ({
-		label: item.path,
-		description: "📄 File",
-		picked: true,
-		path: item.path,
-	}));
-
-	const selected = await vscode.window.showQuickPick(fileChoices, {
-		canPickMany: true,
-		placeHolder: "เลือกไฟล์ที่จะสร้าง",
-		ignoreFocusOut: true,
+	// ไฟล์ไหนใช้ไฟล์ไหน เพื่อสร้างไฟล์ที่ถูกใช้ก่อนและส่งเนื้อหาให้ไฟล์ที่ใช้งาน
+	const dependencies = collectDependencies(new Map(), generated);
+
+	const selected = await openPlanEditor(context, generated, {
+		title: `ไฟล์ที่จะสร้างจาก ${templateName}`,
+		baseUri: target.baseUri,
+		confirmLabel: "Generate",
+		allowDirectories: false,
+		manifest: { instructions: finalPrompt, dependencies },
+		// path ที่ถูกแก้ชื่ออัตโนมัติ (เช่นชื่อต้องห้ามบน Windows) ต้องพา dependencies ไปด้วย
+		onRename: (renamed) => renameDependencies(dependencies, renamed),
+		refine: createPlanRefiner(
+			model,
+			finalPrompt,
+			existingSummary,
+			undefined,
+			{ run },
+			(item) => item.pathKind === "file",
+			dependencies
+		),
 	});
 
-	if (!selected || selected.length === 0) {
+	if (!selected) {
+		return; // ผู้ใช้ยกเลิก
+	}
+	if (selected.length === 0) {
 		void vscode.window.showInformationMessage("ไม่มีไฟล์ถูกเลือก");
 		return;
 	}
 
-	const editedSelections = [];
-	for (const choice of selected) {
-		const updated = await promptForPathAdjustment(choice.path, templateName);
-		if (!updated) {
-			return; // ผู้ใช้ยกเลิก
-		}
-		editedSelections.push(updated);
-	}
-
-	const dedupedSelections = Array.from(
-		editedSelections.reduce((map, item) => {
-			map.set(item.path, item);
-			return map;
-		}, new Map())
-	).map(([, value]) => value);
-
 	const overwriteChoice = await vscode.window.showQuickPick(
 		[
 			{ label: "Skip existing files", value: "skip" },
-			{ label: "Overwrite existing files", value: "overwrite" },
+			{ label: "Regenerate existing files", description: "แสดง diff ให้ตรวจก่อนเขียนทับ", value: "overwrite" },
 		],
 		{
 			placeHolder: "หากมีไฟล์ชื่อซ้ำ ต้องการทำอย่างไร",
@@ -622,138 +664,177 @@ async function runPromptExecution(finalPrompt, templateName) {
 
 	const overwriteAll = overwriteChoice.value === "overwrite";
 	await generateFilesFromPrompt(
-		workspaceFolder,
+		target.baseUri,
 		finalPrompt,
-		dedupedSelections.map((item) => item.path),
+		selected.map((item) => item.path),
 		overwriteAll,
 		templateName,
-		existingSummary
+		existingSummary,
+		run,
+		dependencies
 	);
 }
 
-async function promptForPathAdjustment(initialPath, templateName) {
-	try {
-		const value = await vscode.window.showInputBox({
-			prompt: `กำหนด path/ไฟล์สำหรับ ${templateName}`,
-			value: initialPath,
-			valueSelection: [initialPath.length, initialPath.length], // Cursor at the end
-			ignoreFocusOut: true,
-			validateInput: (input) => {
-				if (!input.trim()) {
-					return "Path is required";
-				}
-				try {
-					normalizeSegments(input.trim());
-					return undefined;
-				} catch (error) {
-					return error instanceof Error ? error.message : String(error);
-				}
-			},
-		});
-
-		if (value === undefined) {
-			return undefined;
-		}
-
-		const normalized = normalizeSegments(value.trim());
-		return { path: normalized };
-	} catch (error) {
-		const message = error instanceof Error ? error.message : String(error);
-		void vscode.window.showErrorMessage(message);
-		return undefined;
-	}
-}
-
+/**
+ * สร้างเนื้อหาไฟล์จาก prompt แล้วให้ผู้ใช้ตรวจ (preview/diff) ก่อนเขียนไฟล์ที่ยอมรับในครั้งเดียว
+ * dependencies: Map (path -> paths ที่ใช้งาน) ไฟล์ที่ถูกใช้จะถูกสร้างก่อน และเนื้อหาจะถูกส่งไปใน prompt ของไฟล์ที่ใช้งาน
+ */
 async function generateFilesFromPrompt(
-	workspaceFolder,
+	baseUri,
 	finalPrompt,
 	filePaths,
 	overwriteAll,
 	templateName,
-	existingSummary
+	existingSummary,
+	run,
+	dependencies = new Map()
 ) {
-	const config = vscode.workspace.getConfiguration();
-	const model = config.get("ai.model") || FALLBACK_MODEL;
+	const model = getAIModel();
 
-	const created = [];
-	const overwritten = [];
+	/** @type {import("./generationReview.js").GeneratedChange[]} */
+	const changes = [];
 	const skipped = [];
 	const failures = [];
+	const cancelled = [];
 
+	// สร้างพร้อมกันได้ไม่เกิน ai.request.concurrency ไฟล์ กดยกเลิกแล้ว request ที่ค้างอยู่จะถูก abort
 	await vscode.window.withProgress(
 		{
 			location: vscode.ProgressLocation.Notification,
 			title: `สร้างไฟล์จาก ${templateName}`,
-			cancellable: false,
+			cancellable: true,
 		},
-		async (progress) => {
+		async (progress, token) => {
+			const controller = new AbortController();
+			const cancellation = token.onCancellationRequested(() => controller.abort());
+			// ai.streamToEditor: แสดงเนื้อหาไฟล์ใน editor แบบอ่านอย่างเดียวระหว่างที่ AI กำลังเขียน
+			const streaming = isStreamToEditorEnabled() ? createStreamingPreviews() : undefined;
 			const total = filePaths.length;
 			let done = 0;
+			// เนื้อหาที่สร้างแล้ว สำหรับไฟล์ที่ใช้งานไฟล์เหล่านี้
+			const produced = new Map();
 
-			for (const relativePath of filePaths) {
-				const targetUri = vscode.Uri.joinPath(workspaceFolder.uri, relativePath);
+			const generateOne = async (relativePath) => {
 				let message = `ประมวลผล ${relativePath}`;
-
 				try {
-					await ensureParentDir(targetUri);
+					const targetUri = resolvePlanPath(baseUri, relativePath);
 
 					const fileExists = await exists(targetUri);
 					if (fileExists && !overwriteAll) {
-						skipped.push(relativePath);
 						message = `ข้าม ${relativePath}`;
-					} else {
-						const content = await requestFileContentForPrompt(
-							model,
-							finalPrompt,
-							existingSummary,
-							filePaths,
-							relativePath
-						);
-
-						const buffer = Buffer.from(content, "utf8");
-						await vscode.workspace.fs.writeFile(targetUri, buffer);
-
-						if (fileExists) {
-							overwritten.push(relativePath);
-							message = `เขียนทับ ${relativePath}`;
-						} else {
-							created.push(relativePath);
-							message = `สร้างใหม่ ${relativePath}`;
-						}
-
-						try {
-							const doc = await vscode.workspace.openTextDocument(targetUri);
-							await vscode.window.showTextDocument(doc, {
-								preview: false,
-							});
-						} catch (error) {
-							failures.push({
-								path: relativePath,
-								error: `เปิดไฟล์ไม่สำเร็จ: ${error instanceof Error ? error.message : String(error)}`,
-							});
-						}
+						return { skipped: true };
 					}
+					const content = await requestFileContentForPrompt(
+						model,
+						finalPrompt,
+						existingSummary,
+						filePaths,
+						relativePath,
+						{ run, signal: controller.signal, stream: streaming?.open(targetUri) },
+						await readDependencyFiles(baseUri, dependencies.get(relativePath) ?? [], produced)
+					);
+					produced.set(relativePath, content);
+					message = `สร้างเนื้อหา ${relativePath}`;
+					return { change: { path: relativePath, uri: targetUri, content, exists: fileExists } };
 				} catch (error) {
-					failures.push({
-						path: relativePath,
-						error: error instanceof Error ? error.message : String(error),
-					});
+					if (controller.signal.aborted) {
+						message = `ยกเลิก ${relativePath}`;
+						return { cancelled: true };
+					}
 					message = `ผิดพลาด ${relativePath}`;
+					throw error;
+				} finally {
+					done += 1;
+					progress.report({
+						increment: 100 / total,
+						message: `${done}/${total} ${message}`,
+					});
 				}
+			};
 
-				done += 1;
-				progress.report({
-					increment: Math.round((done / total) * 100),
-					message,
+			try {
+				const results = await mapWithConcurrency(
+					filePaths,
+					getRequestSettings().concurrency,
+					generateOne,
+					controller.signal,
+					dependencyIndexes(filePaths, dependencies)
+				);
+				results.forEach((result, index) => {
+					const relativePath = filePaths[index];
+					if (!result || (result.status === "fulfilled" && result.value.cancelled)) {
+						cancelled.push(relativePath);
+					} else if (result.status === "rejected") {
+						failures.push({
+							path: relativePath,
+							error: result.reason instanceof Error ? result.reason.message : String(result.reason),
+						});
+					} else if (result.value.skipped) {
+						skipped.push(relativePath);
+					} else {
+						changes.push(result.value.change);
+					}
 				});
+			} finally {
+				cancellation.dispose();
+				await streaming?.close();
 			}
 		}
 	);
 
+	// บันทึกไฟล์ที่เขียนไว้ให้ย้อนกลับได้ด้วย AI: Undo Last Generation
+	const transaction = createTransaction(`Prompt template: ${templateName}`, finalPrompt);
+	let review;
+	let verification;
+	try {
+		review = await reviewAndApplyGeneratedFiles(changes, {
+			title: `${templateName}: ตรวจไฟล์ก่อนเขียน`,
+			transaction,
+		});
+		// ai.verify.enabled: ตรวจข้อผิดพลาดของไฟล์ที่เขียนแล้วให้ AI แก้ (อยู่ใน transaction เดียวกัน)
+		verification = await verifyGeneratedFiles(
+			changes.filter(
+				(change) => review.created.includes(change.path) || review.overwritten.includes(change.path)
+			),
+			{ model, instructions: finalPrompt, run, transaction }
+		);
+	} finally {
+		await commitGeneration(transaction);
+	}
+
+	for (const change of changes) {
+		if (!review.created.includes(change.path) && !review.overwritten.includes(change.path)) {
+			continue;
+		}
+		try {
+			const doc = await vscode.workspace.openTextDocument(change.uri);
+			await vscode.window.showTextDocument(doc, {
+				preview: false,
+			});
+		} catch (error) {
+			failures.push({
+				path: change.path,
+				error: `เปิดไฟล์ไม่สำเร็จ: ${error instanceof Error ? error.message : String(error)}`,
+			});
+		}
+	}
+
 	const parts = [];
-	if (created.length) parts.push(`สร้างใหม่ ${created.length}`);
-	if (overwritten.length) parts.push(`เขียนทับ ${overwritten.length}`);
+	if (review.created.length) parts.push(`สร้างใหม่ ${review.created.length}`);
+	if (review.overwritten.length) parts.push(`เขียนทับ ${review.overwritten.length}`);
 	if (skipped.length) parts.push(`ข้าม ${skipped.length}`);
+	if (cancelled.length) parts.push(`ยกเลิกแล้ว ไม่ได้สร้าง ${cancelled.length} ไฟล์`);
+	if (review.cancelled) parts.push("ยกเลิกการตรวจ ไม่ได้เขียนไฟล์");
+	else if (review.rejected.length) parts.push(`ไม่รับ ${review.rejected.length}`);
+	if (verification) {
+		parts.push(`ตรวจสอบ: ${describeVerification(verification)}`);
+		if (verification.commandFailure) {
+			failures.push({ path: "ai.verify.command", error: verification.commandFailure });
+		}
+	}
+
+	const usageSummary = await finishRun(run);
+	if (usageSummary) parts.push(`AI usage: ${usageSummary}`);
 
 	const summary = parts.length ? parts.join(", ") : "ไม่มีการเปลี่ยนแปลง";
 
@@ -772,7 +853,9 @@ async function requestFileContentForPrompt(
 	finalPrompt,
 	existingSummary,
 	allFilePaths,
-	targetPath
+	targetPath,
+	requestOptions = {},
+	dependencies = []
 ) {
 	const ext = path.extname(targetPath).replace(/^\./, "") || "plain";
 	const otherFiles = allFilePaths.filter((p) => p !== targetPath);
@@ -786,6 +869,7 @@ async function requestFileContentForPrompt(
 - ไม่ใส่คำอธิบายเพิ่มเติมหรือข้อความประกอบอื่น ๆ นอกเหนือจากเนื้อหาไฟล์
 - หากใช้ code fence ให้ใช้ภาษาให้ตรงกับชนิดไฟล์`;
 
+	const dependencyContext = formatDependencyContext(dependencies);
 	const relatedListing = otherFiles.length
 		? otherFiles.map((file) => `- ${file}`).join("\n")
 		: "- (ไม่มี)";
@@ -798,41 +882,31 @@ ${allFilePaths.map((file) => `- ${file}`).join("\n")}
 
 ไฟล์อื่นที่เกี่ยวข้องกับไฟล์เป้าหมาย:
 ${relatedListing}
-
+${dependencyContext ? `
+ไฟล์ที่ไฟล์เป้าหมายใช้งาน (มีอยู่แล้ว ให้ import path และชื่อที่ export ให้ตรงกับไฟล์เหล่านี้):
+${dependencyContext}
+` : ""}
 สร้างไฟล์สำหรับ path: ${targetPath}
-โครงสร้างที่มีอยู่ใน workspace (บางส่วน):
-- ไดเรกทอรี: ${existingSummary.directories
-	.slice(0, 20)
-	.join(", ")}${
-	existingSummary.directories.length > 20 ? "..." : ""
-}
-- ไฟล์ที่พบ: ${existingSummary.files.slice(0, 20).join(", ")}${
-	existingSummary.files.length > 20 ? "..." : ""
-}
+โครงสร้างที่มีอยู่ใน workspace:
+\`\`\`
+${formatExistingPaths(existingSummary)}
+\`\`\`
 
 ส่งคืนเฉพาะเนื้อหาไฟล์`;
 
-	try {
-		const client = getGlobalAI();
-		const response = await client.chat.completions.create({
-			model,
-			messages: [
-				{ role: "system", content: systemPrompt },
-				{ role: "user", content: userPrompt },
-			]
-		});
-
-		const content = response.choices?.[0]?.message?.content || "";
-		const extracted = extractCodeFromText(content);
-		return extracted || content || "";
-	} catch {
-		const header = `// Generated fallback for ${targetPath}\n// Template: ${templateNameFromPrompt(finalPrompt)}\n// Prompt snippet: ${finalPrompt.slice(0, 120)}...\n\n`;
-		return header;
-	}
-}
+	const response = await requestChat({
+		model,
+		messages: [
+			{ role: "system", content: systemPrompt },
+			{ role: "user", content: userPrompt },
+		],
+		signal: requestOptions.signal,
+		stream: requestOptions.stream,
+	}, { run: requestOptions.run });
 
-function templateNameFromPrompt(prompt) {
-	return prompt.split("\n")[0]?.slice(0, 40) || "prompt";
+	const content = response.content;
+	const extracted = extractCodeFromText(content);
+	return extracted || content || "";
 }
 
 /**
@@ -888,12 +962,13 @@ function openContentEditor(context, initialContent, options) {
  * Opens a webview panel to collect placeholder and choice selections in a single view.
  * @param {string[]} placeholders
  * @param {ReturnType<typeof parseChoicePlaceholders>} choiceTokens
+ * @param {string} [templateName]
  * @returns {Promise<{
  *   simpleValues: Record<string, string>;
  *   choiceSelections: Record<number, string[]>;
  * } | undefined>}
  */
-function openPromptForm(context, placeholders, choiceTokens, templateContent) {
+function openPromptForm(context, placeholders, choiceTokens, templateContent, templateName = "") {
 	return new Promise((resolve) => {
 		const panel = vscode.window.createWebviewPanel(
 			"promptInputForm",
@@ -927,20 +1002,19 @@ function openPromptForm(context, placeholders, choiceTokens, templateContent) {
 		    dispose();
 		  } else if (message?.type === "callAI") {
 		    // Handle AI call request from the webview
+		    const run = startRun("promptTemplate.aiField", { template: templateName });
 		    try {
-		      const client = getGlobalAI();
-		      const config = vscode.workspace.getConfiguration();
-		      const model = config.get("ai.model") || FALLBACK_MODEL;
+		      const model = getAIModel();
 		      
-		      const response = await client.chat.completions.create({
+		      const response = await requestChat({
 		        model,
 		        messages: [
 		          { role: "system", content: "คุณเป็นผู้ช่วย AI ที่ช่วยตอบคำถามและสร้างเนื้อหาตามที่ร้องขอ" },
 		          { role: "user", content: message.prompt }
 		        ]
-		      });
+		      }, { run });
 
-		      const aiResponse = response.choices?.[0]?.message?.content || message.default || "";
+		      const aiResponse = response.content || message.default || "";
 		      
 		      // Send response back to webview
 		      panel.webview.postMessage({
@@ -955,6 +1029,9 @@ function openPromptForm(context, placeholders, choiceTokens, templateContent) {
 		        index: message.index,
 		        error: error instanceof Error ? error.message : String(error)
 		      });
+		    } finally {
+		      // ปิด run ทั้งกรณีสำเร็จ ล้มเหลว หรือถูกยกเลิก
+		      await finishRun(run);
 		    }
 		  }
 		});
@@ -1035,36 +1112,6 @@ function openPromptForm(context, placeholders, choiceTokens, templateContent) {
 
 // Removed inline HTML generator for prompt input form; now using external template.
 
-/**
- * Load an HTML template file from the extension's media folder and inject data + CSP nonce.
- * @param {vscode.ExtensionContext} context
- * @param {vscode.Webview} webview
- * @param {string} relativePath e.g. 'media/prompt-input-form.html'
- * @param {{ [key: string]: string }} replacements Additional replacement tokens
- */
-async function loadHtmlTemplate(context, webview, relativePath, replacements = {}) {
-	const onDisk = vscode.Uri.joinPath(context.extensionUri, relativePath);
-	const bytes = await vscode.workspace.fs.readFile(onDisk);
-	let html = Buffer.from(bytes).toString('utf8');
-	const nonce = generateNonce();
-	html = html.replace(/%NONCE%/g, nonce);
-	for (const [key, value] of Object.entries(replacements)) {
-		// Use a function replacer to avoid special replacement sequences in strings
-		const token = new RegExp(`%${key}%`, 'g');
-		html = html.replace(token, () => String(value));
-	}
-	return html;
-}
-
-function generateNonce() {
-	return Math.random().toString(36).slice(2, 10);
-}
-
-async function ensureParentDir(uri) {
-	const parent = vscode.Uri.joinPath(uri, "..");
-	await vscode.workspace.fs.createDirectory(parent);
-}
-
 async function exists(uri) {
 	try {
 		await vscode.workspace.fs.stat(uri);
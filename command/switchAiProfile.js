@@ -0,0 +1,265 @@
+import * as vscode from "vscode";
+
+import {
+  getProfiles,
+  saveProfiles,
+  getActiveProfile,
+  getActiveProfileName,
+  setApiKey,
+  updateEffectiveAiSetting,
+} from "../config/ai.js";
+import { PROVIDER_ITEMS } from "./setAiConfig.js";
+
+const DEFAULT_PROFILE_LABEL = "Default";
+
+/**
+ * Parse the "extra headers" input. Accepts a JSON object or
+ * `Header: value` pairs separated by semicolons.
+ * @param {string} input
+ * @returns {Record<string, string>}
+ */
+export function parseHeadersInput(input) {
+  const text = (input || "").trim();
+  if (!text) {
+    return {};
+  }
+
+  if (text.startsWith("{")) {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("Headers must be a JSON object");
+    }
+    return Object.fromEntries(
+      Object.entries(parsed).map(([key, value]) => [key, String(value)])
+    );
+  }
+
+  /** @type {Record<string, string>} */
+  const headers = {};
+  for (const pair of text.split(";")) {
+    if (!pair.trim()) continue;
+    const index = pair.indexOf(":");
+    if (index <= 0) {
+      throw new Error(`Invalid header "${pair.trim()}", expected "Name: value"`);
+    }
+    headers[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Switch the active profile (`ai.activeProfile`), in the settings scope the
+ * current choice comes from so a workspace value does not keep overriding it.
+ * @param {string} name "" for the default `ai.*` settings
+ */
+async function activateProfile(name) {
+  await updateEffectiveAiSetting("activeProfile", name);
+  if (getActiveProfileName() !== name) {
+    void vscode.window.showWarningMessage(
+      `ai.activeProfile was saved, but another settings scope still selects "${getActiveProfileName() || DEFAULT_PROFILE_LABEL}".`
+    );
+    return;
+  }
+  void vscode.window.showInformationMessage(
+    `Active AI profile: ${name || DEFAULT_PROFILE_LABEL}`
+  );
+}
+
+async function handleCreateProfile() {
+  const profiles = getProfiles();
+
+  const name = await vscode.window.showInputBox({
+    prompt: "Profile name",
+    placeHolder: "e.g., Company gateway, Local Ollama, Personal OpenAI",
+    ignoreFocusOut: true,
+    validateInput: (value) => {
+      if (!value.trim()) {
+        return "Name is required";
+      }
+      if (profiles.some((profile) => profile.name === value.trim())) {
+        return "A profile with this name already exists";
+      }
+      return undefined;
+    },
+  });
+  if (name === undefined) {
+    return;
+  }
+
+  const providerPick = await vscode.window.showQuickPick(PROVIDER_ITEMS, {
+    placeHolder: "Provider for this profile",
+    ignoreFocusOut: true,
+  });
+  if (!providerPick) {
+    return;
+  }
+
+  const apiUrl = await vscode.window.showInputBox({
+    prompt: "Base URL (leave empty for the provider default)",
+    placeHolder: "e.g., http://localhost:11434/v1",
+    ignoreFocusOut: true,
+  });
+  if (apiUrl === undefined) {
+    return;
+  }
+
+  const model = await vscode.window.showInputBox({
+    prompt: "Default model for this profile (leave empty to use ai.model)",
+    placeHolder: "e.g., gpt-4o-mini, llama3.1",
+    ignoreFocusOut: true,
+  });
+  if (model === undefined) {
+    return;
+  }
+
+  const headersInput = await vscode.window.showInputBox({
+    prompt: "Extra headers (optional): JSON object or Name: value; Name2: value2",
+    placeHolder: '{"X-Team": "platform"}',
+    ignoreFocusOut: true,
+    validateInput: (value) => {
+      try {
+        parseHeadersInput(value);
+        return undefined;
+      } catch (error) {
+        return error instanceof Error ? error.message : String(error);
+      }
+    },
+  });
+  if (headersInput === undefined) {
+    return;
+  }
+
+  const apiKey = await vscode.window.showInputBox({
+    prompt: "API Key for this profile (stored in VS Code secret storage, optional)",
+    password: true,
+    ignoreFocusOut: true,
+  });
+  if (apiKey === undefined) {
+    return;
+  }
+
+  /** @type {import("../config/ai.js").AiProfile} */
+  const profile = { name: name.trim(), provider: providerPick.value };
+  if (apiUrl.trim()) profile.apiUrl = apiUrl.trim();
+  if (model.trim()) profile.model = model.trim();
+  const headers = parseHeadersInput(headersInput);
+  if (Object.keys(headers).length) profile.headers = headers;
+
+  await saveProfiles([...profiles, profile]);
+  if (apiKey.trim()) {
+    await setApiKey(apiKey, profile.name);
+  }
+  await activateProfile(profile.name);
+}
+
+async function handleDeleteProfile() {
+  const profiles = getProfiles();
+  if (!profiles.length) {
+    void vscode.window.showInformationMessage("No AI profiles to delete.");
+    return;
+  }
+
+  const pick = await vscode.window.showQuickPick(
+    profiles.map((profile) => ({ label: profile.name, description: profile.apiUrl || "" })),
+    { placeHolder: "Select a profile to delete", ignoreFocusOut: true }
+  );
+  if (!pick) {
+    return;
+  }
+
+  const confirm = await vscode.window.showWarningMessage(
+    `Delete AI profile "${pick.label}" and its stored API key?`,
+    { modal: true },
+    "Delete"
+  );
+  if (confirm !== "Delete") {
+    return;
+  }
+
+  if (getActiveProfileName() === pick.label) {
+    await activateProfile("");
+  }
+  await saveProfiles(profiles.filter((profile) => profile.name !== pick.label));
+  await setApiKey("", pick.label);
+}
+
+/**
+ * Command: AI: Switch Profile
+ * Quick switch between named provider profiles, plus create/delete.
+ */
+export async function switchAiProfile() {
+  const activeName = getActiveProfileName();
+  const profiles = getProfiles();
+
+  const items = [
+    {
+      label: `${activeName === "" ? "$(check) " : ""}${DEFAULT_PROFILE_LABEL}`,
+      description: "ai.apiUrl / ai.model settings",
+      value: "switch",
+      name: "",
+    },
+    ...profiles.map((profile) => ({
+      label: `${activeName === profile.name ? "$(check) " : ""}${profile.name}`,
+      description: [profile.provider, profile.model, profile.apiUrl].filter(Boolean).join(" · "),
+      value: "switch",
+      name: profile.name,
+    })),
+    { label: "", kind: vscode.QuickPickItemKind.Separator, value: "", name: "" },
+    { label: "➕ Create profile", value: "create", name: "" },
+    { label: "🗑️ Delete profile", value: "delete", name: "" },
+  ];
+
+  const selection = await vscode.window.showQuickPick(items, {
+    placeHolder: "Select the AI profile to use",
+    ignoreFocusOut: true,
+  });
+  if (!selection) {
+    return;
+  }
+
+  try {
+    if (selection.value === "create") {
+      await handleCreateProfile();
+    } else if (selection.value === "delete") {
+      await handleDeleteProfile();
+    } else if (selection.name !== activeName) {
+      await activateProfile(selection.name);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    void vscode.window.showErrorMessage(`Switch Profile failed: ${message}`);
+  }
+}
+
+/**
+ * Status bar entry showing the active profile; clicking it opens the switcher.
+ * @returns {vscode.Disposable}
+ */
+export function createProfileStatusBarItem() {
+  const item = vscode.window.createStatusBarItem(
+    vscode.StatusBarAlignment.Right,
+    100
+  );
+  item.command = "extension.switchAiProfile";
+
+  const refresh = () => {
+    const profile = getActiveProfile();
+    item.text = `$(sparkle) ${profile.name || DEFAULT_PROFILE_LABEL}`;
+    item.tooltip = `AI profile: ${profile.name || DEFAULT_PROFILE_LABEL}\nModel: ${profile.model}${
+      profile.apiUrl ? `\nURL: ${profile.apiUrl}` : ""
+    }`;
+  };
+
+  refresh();
+  item.show();
+
+  const listener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration("ai")) {
+      refresh();
+    }
+  });
+
+  return vscode.Disposable.from(item, listener);
+}
+
+export default switchAiProfile;
@@ -0,0 +1,270 @@
+import * as vscode from "vscode";
+
+import { getActiveProfile, getAIProvider } from "../config/ai.js";
+import { getRequestSettings } from "../config/request.js";
+import { getNetworkSettings } from "../config/network.js";
+
+/**
+ * @typedef {Object} DiagnosticStep
+ * @property {string} name
+ * @property {"pass" | "warn" | "fail" | "skip"} status
+ * @property {number} [latencyMs]
+ * @property {string} details
+ */
+
+const STATUS_ICONS = { pass: "✅", warn: "⚠️", fail: "❌", skip: "⏭️" };
+
+/**
+ * @param {unknown} error
+ */
+const describeError = (error) => {
+  const message = error instanceof Error ? error.message : String(error);
+  const status = /** @type {any} */ (error)?.status;
+  return typeof status === "number" && !message.startsWith(String(status))
+    ? `HTTP ${status}: ${message}`
+    : message;
+};
+
+/**
+ * Run `fn` and time it.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<{ value?: T; error?: unknown; latencyMs: number }>}
+ */
+async function timed(fn) {
+  const startedAt = Date.now();
+  try {
+    const value = await fn();
+    return { value, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { error, latencyMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Mask an API key for display, e.g. "sk-a…wxyz (51 chars)".
+ * @param {string} key
+ */
+const maskKey = (key) =>
+  key.length > 8 ? `${key.slice(0, 4)}…${key.slice(-4)} (${key.length} chars)` : `(${key.length} chars)`;
+
+/**
+ * Run every diagnostic step against the active profile.
+ * @param {(message: string) => void} [onStep]
+ * @returns {Promise<{ profile: ReturnType<typeof getActiveProfile>; steps: DiagnosticStep[] }>}
+ */
+export async function runConnectionDiagnostics(onStep = () => {}) {
+  const profile = getActiveProfile();
+  /** @type {DiagnosticStep[]} */
+  const steps = [];
+  const { timeoutMs } = getRequestSettings();
+  const needsKey = profile.provider === "openai" || profile.provider === "anthropic";
+
+  // 1. Configuration
+  onStep("Checking configuration");
+  const configProblems = [];
+  if (needsKey && !profile.apiKey) {
+    configProblems.push("API key is not set (run AI: Set Config)");
+  }
+  if (profile.apiUrl) {
+    try {
+      const url = new URL(profile.apiUrl);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        configProblems.push(`Base URL must use http or https, got ${url.protocol}`);
+      }
+    } catch {
+      configProblems.push(`Base URL is not a valid URL: ${profile.apiUrl}`);
+    }
+  }
+  steps.push({
+    name: "Configuration",
+    status: configProblems.length ? "fail" : "pass",
+    details: configProblems.length
+      ? configProblems.join("; ")
+      : [
+          `provider ${profile.provider}`,
+          needsKey ? `key ${maskKey(profile.apiKey)}` : "",
+          `base URL ${profile.apiUrl || "(provider default)"}`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+  });
+  if (configProblems.length) {
+    for (const name of ["List models", "Chat request", "JSON response format"]) {
+      steps.push({ name, status: "skip", details: "Configuration is invalid" });
+    }
+    return { profile, steps };
+  }
+
+  const provider = getAIProvider();
+
+  // 2. Models
+  onStep("Listing models");
+  const models = await timed(() => provider.listModels());
+  if (models.error) {
+    steps.push({
+      name: "List models",
+      status: "fail",
+      latencyMs: models.latencyMs,
+      details: describeError(models.error),
+    });
+  } else {
+    const ids = models.value ?? [];
+    const hasModel = ids.includes(profile.model);
+    steps.push({
+      name: "List models",
+      status: hasModel || !ids.length ? "pass" : "warn",
+      latencyMs: models.latencyMs,
+      details: `${ids.length} model(s) available; "${profile.model}" ${
+        hasModel ? "is listed" : "is not listed"
+      }`,
+    });
+  }
+
+  // 3. Minimal chat request
+  onStep(`Sending a chat request to ${profile.model}`);
+  const chat = await timed(() =>
+    provider.chat({
+      model: profile.model,
+      messages: [{ role: "user", content: "Reply with the single word: OK" }],
+      maxTokens: 16,
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+  );
+  steps.push(
+    chat.error
+      ? {
+          name: "Chat request",
+          status: "fail",
+          latencyMs: chat.latencyMs,
+          details: describeError(chat.error),
+        }
+      : {
+          name: "Chat request",
+          status: "pass",
+          latencyMs: chat.latencyMs,
+          details: `Replied ${JSON.stringify((chat.value?.content ?? "").slice(0, 60))}${
+            chat.value?.usage ? `, ${chat.value.usage.totalTokens} tokens` : ""
+          }`,
+        }
+  );
+
+  // 4. JSON mode (response_format: json_object)
+  onStep("Checking JSON response format");
+  if (chat.error) {
+    steps.push({
+      name: "JSON response format",
+      status: "skip",
+      details: "Chat request failed",
+    });
+    return { profile, steps };
+  }
+  const json = await timed(() =>
+    provider.chat({
+      model: profile.model,
+      messages: [
+        { role: "system", content: "You reply with JSON objects only." },
+        { role: "user", content: 'Return the JSON object {"ok": true}.' },
+      ],
+      responseFormat: "json",
+      maxTokens: 32,
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+  );
+  const emulated = profile.provider !== "openai" && profile.provider !== "mock";
+  if (json.error) {
+    steps.push({
+      name: "JSON response format",
+      status: "warn",
+      latencyMs: json.latencyMs,
+      details: `Not supported: ${describeError(json.error)}. Plans may still work when the model follows the prompt.`,
+    });
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(json.value?.content ?? "");
+    } catch {
+      parsed = undefined;
+    }
+    const isObject = parsed && typeof parsed === "object" && !Array.isArray(parsed);
+    steps.push({
+      name: "JSON response format",
+      status: isObject ? "pass" : "warn",
+      latencyMs: json.latencyMs,
+      details: `${emulated ? "Emulated via instructions" : "response_format: json_object accepted"}; ${
+        isObject ? "reply is a JSON object" : "reply is not valid JSON"
+      }`,
+    });
+  }
+
+  return { profile, steps };
+}
+
+/**
+ * @param {ReturnType<typeof getActiveProfile>} profile
+ * @param {DiagnosticStep[]} steps
+ */
+export function buildConnectionReport(profile, steps) {
+  const rows = steps.map(
+    (step) =>
+      `| ${STATUS_ICONS[step.status]} ${step.name} | ${step.status} | ${
+        step.latencyMs !== undefined ? `${step.latencyMs} ms` : "-"
+      } | ${step.details.replace(/\|/g, "\\|").replace(/\n/g, " ")} |`
+  );
+  return [
+    "# AI Connection Test",
+    "",
+    `- Profile: ${profile.name || "Default"}`,
+    `- Provider: ${profile.provider}`,
+    `- Base URL: ${profile.apiUrl || "(provider default)"}`,
+    `- Model: ${profile.model}`,
+    `- Proxy: ${getNetworkSettings().proxy || "(VS Code default)"}`,
+    `- Time: ${new Date().toLocaleString()}`,
+    "",
+    "| Step | Result | Latency | Details |",
+    "| --- | --- | ---: | --- |",
+    ...rows,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Command: AI: Test Connection
+ */
+export async function testConnection() {
+  try {
+    const { profile, steps } = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Testing AI connection",
+        cancellable: false,
+      },
+      (progress) =>
+        runConnectionDiagnostics((message) => progress.report({ message }))
+    );
+
+    const doc = await vscode.workspace.openTextDocument({
+      language: "markdown",
+      content: buildConnectionReport(profile, steps),
+    });
+    await vscode.commands.executeCommand("markdown.showPreview", doc.uri);
+
+    const failed = steps.filter((step) => step.status === "fail");
+    const warned = steps.filter((step) => step.status === "warn");
+    if (failed.length) {
+      void vscode.window.showErrorMessage(
+        `AI connection test failed: ${failed.map((step) => `${step.name}: ${step.details}`).join("; ")}`
+      );
+    } else if (warned.length) {
+      void vscode.window.showWarningMessage(
+        `AI connection works with warnings: ${warned.map((step) => step.name).join(", ")}`
+      );
+    } else {
+      void vscode.window.showInformationMessage("AI connection test passed.");
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+export default testConnection;
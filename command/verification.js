@@ -0,0 +1,75 @@
+const OUTPUT_LINE_LIMIT = 40;
+
+/**
+ * @typedef {Object} Problem
+ * @property {number} line 1-based
+ * @property {string} message
+ * @property {string} [source] e.g. "ts", "eslint"
+ * @property {string | number} [code]
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {number} rounds repair rounds that ran
+ * @property {string[]} fixed files that had problems and have none now
+ * @property {Array<{ path: string; count: number }>} remaining files that still have problems
+ * @property {string} [commandFailure] output of a failed check command that names none of the files
+ * @property {boolean} cancelled
+ */
+
+/**
+ * Problems as prompt lines, e.g. "line 3: Cannot find name 'x'. (ts 2304)".
+ * @param {Problem[]} problems
+ */
+export const formatProblems = (problems) =>
+  problems
+    .map((problem) => {
+      const origin = [problem.source, problem.code].filter((part) => part !== undefined && part !== "").join(" ");
+      return `line ${problem.line}: ${problem.message}${origin ? ` (${origin})` : ""}`;
+    })
+    .join("\n");
+
+/**
+ * Lines of a check command's output about one file: lines naming the file
+ * (with "/" or "\" separators), each followed by the indented lines after it,
+ * as linters and compilers print details and code frames.
+ * @param {string} output
+ * @param {string} relativePath workspace-relative, "/"-separated
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function outputLinesFor(output, relativePath, limit = OUTPUT_LINE_LIMIT) {
+  const names = [relativePath, relativePath.replace(/\//g, "\\")];
+  const lines = output.split(/\r?\n/);
+  const picked = [];
+  for (let index = 0; index < lines.length && picked.length < limit; index++) {
+    if (!names.some((name) => lines[index].includes(name))) continue;
+    picked.push(lines[index]);
+    while (index + 1 < lines.length && /^\s+\S/.test(lines[index + 1]) && picked.length < limit) {
+      picked.push(lines[++index]);
+    }
+  }
+  return picked;
+}
+
+/**
+ * One-line outcome for the final message of a command.
+ * @param {VerificationResult} result
+ */
+export function describeVerification(result) {
+  const parts = [];
+  if (result.fixed.length) {
+    parts.push(`fixed ${result.fixed.length} file(s) in ${result.rounds} repair round(s)`);
+  }
+  if (result.remaining.length) {
+    const listed = result.remaining.map((item) => `${item.path} (${item.count})`).join(", ");
+    parts.push(`problems remain in ${listed}`);
+  }
+  if (result.commandFailure) {
+    parts.push("the check command failed");
+  }
+  if (result.cancelled) {
+    parts.push("cancelled");
+  }
+  return parts.length ? parts.join("; ") : "no problems found";
+}
@@ -0,0 +1,35 @@
+import * as vscode from "vscode";
+
+/**
+ * Utility: serialize arbitrary data to base64 with explicit UTF-8 encoding.
+ * Ensures non-ASCII input remains intact when injected into HTML templates.
+ * @param {any} data
+ */
+export function utf8JsonToBase64(data) {
+  return Buffer.from(JSON.stringify(data), "utf8").toString("base64");
+}
+
+/**
+ * Load an HTML template file from the extension's media folder and inject data + CSP nonce.
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.Webview} webview
+ * @param {string} relativePath e.g. 'media/prompt-input-form.html'
+ * @param {{ [key: string]: string }} replacements Additional replacement tokens
+ */
+export async function loadHtmlTemplate(context, webview, relativePath, replacements = {}) {
+  const onDisk = vscode.Uri.joinPath(context.extensionUri, relativePath);
+  const bytes = await vscode.workspace.fs.readFile(onDisk);
+  let html = Buffer.from(bytes).toString("utf8");
+  const nonce = generateNonce();
+  html = html.replace(/%NONCE%/g, nonce);
+  for (const [key, value] of Object.entries(replacements)) {
+    // Use a function replacer to avoid special replacement sequences in strings
+    const token = new RegExp(`%${key}%`, "g");
+    html = html.replace(token, () => String(value));
+  }
+  return html;
+}
+
+function generateNonce() {
+  return Math.random().toString(36).slice(2, 10);
+}
@@ -0,0 +1,188 @@
+import * as vscode from "vscode";
+import * as path from "path";
+
+import { createIgnoreMatcher, ignoredTreeGlobs } from "./ignoreRules.js";
+import { summarizePathTree } from "./pathTree.js";
+
+/** Always skipped, even without a .gitignore */
+const ALWAYS_EXCLUDED = ["**/node_modules", "**/.git"];
+
+/** @type {Map<string, Promise<string[]>>} workspace folder URI -> indexed files */
+const indexCache = new Map();
+
+const getIndexSettings = () => {
+  const config = vscode.workspace.getConfiguration("ai.index");
+  return {
+    ignoreFile: config.get("ignoreFile", ".aiignore")?.trim() ?? "",
+    maxFiles: Math.max(1, config.get("maxFiles", 20000)),
+    tokenBudget: Math.max(100, config.get("tokenBudget", 1500)),
+    collapseThreshold: Math.max(1, config.get("collapseThreshold", 40)),
+  };
+};
+
+/**
+ * Glob passed to findFiles: `files.exclude` (which findFiles drops once an
+ * explicit exclude is given) plus node_modules, .git and `extraGlobs`.
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {string[]} [extraGlobs]
+ */
+const buildExcludeGlob = (folder, extraGlobs = []) => {
+  const filesExclude = vscode.workspace
+    .getConfiguration("files", folder.uri)
+    .get("exclude", {});
+  const patterns = new Set(ALWAYS_EXCLUDED);
+  for (const [pattern, enabled] of Object.entries(filesExclude || {})) {
+    // Entries with a `when` clause depend on sibling files; treat them as not excluded
+    if (enabled === true) patterns.add(pattern);
+  }
+  const globs = [];
+  for (const pattern of patterns) {
+    globs.push(pattern, `${pattern}/**`);
+  }
+  globs.push(...extraGlobs);
+  return `{${globs.join(",")}}`;
+};
+
+/**
+ * @param {vscode.WorkspaceFolder} folder
+ * @param {vscode.Uri} uri
+ */
+const relativeTo = (folder, uri) => path.posix.relative(folder.uri.path, uri.path);
+
+/**
+ * Files of a workspace folder that the AI may see: honours `files.exclude`,
+ * every .gitignore in the folder and the custom ignore file (`ai.index.ignoreFile`).
+ * The ignore files are read first, so ignored trees are excluded from the
+ * search instead of using up `ai.index.maxFiles`.
+ * @param {vscode.WorkspaceFolder} folder
+ * @returns {Promise<string[]>} folder-relative, "/"-separated paths
+ */
+async function indexWorkspaceFolder(folder) {
+  const settings = getIndexSettings();
+  const ignoreFileNames = [...new Set([".gitignore", settings.ignoreFile].filter(Boolean))];
+  // Names with glob characters would not match literally; they are not worth escaping
+  const ignoreFiles = await vscode.workspace.findFiles(
+    new vscode.RelativePattern(
+      folder,
+      `**/{${ignoreFileNames.filter((name) => !/[{}*?,[\]]/.test(name)).join(",")}}`
+    ),
+    buildExcludeGlob(folder)
+  );
+
+  const sources = [];
+  for (const uri of ignoreFiles) {
+    try {
+      const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString("utf8");
+      const dir = path.posix.dirname(relativeTo(folder, uri));
+      sources.push({ dir: dir === "." ? "" : dir, content });
+    } catch {
+      // Unreadable ignore file: index as if it did not exist
+    }
+  }
+
+  const uris = await vscode.workspace.findFiles(
+    new vscode.RelativePattern(folder, "**/*"),
+    buildExcludeGlob(folder, ignoredTreeGlobs(sources)),
+    settings.maxFiles
+  );
+  const isIgnored = createIgnoreMatcher(sources);
+  return uris
+    .map((uri) => relativeTo(folder, uri))
+    .filter((file) => !isIgnored(file))
+    .sort();
+}
+
+/**
+ * Cached index of a workspace folder; rebuilt after the watcher invalidates it.
+ * @param {vscode.WorkspaceFolder} folder
+ */
+export function getIndexedFiles(folder) {
+  const key = folder.uri.toString();
+  let pending = indexCache.get(key);
+  if (!pending) {
+    pending = indexWorkspaceFolder(folder);
+    indexCache.set(key, pending);
+    pending.catch(() => {
+      if (indexCache.get(key) === pending) indexCache.delete(key);
+    });
+  }
+  return pending;
+}
+
+/**
+ * Summary of the existing paths under baseUri for AI prompts: the file and
+ * directory lists (relative to baseUri) plus a compact tree that fits
+ * `ai.index.tokenBudget`. Only the workspace folder containing baseUri is
+ * indexed; `root` is its name, `roots` the names of every workspace folder and
+ * `base` is baseUri relative to its workspace folder.
+ * @param {vscode.Uri} baseUri a workspace folder or a folder inside one
+ * @returns {Promise<{ directories: string[]; files: string[]; total: number; tree: string; base: string; root: string; roots: string[] }>}
+ */
+export async function summarizeWorkspace(baseUri) {
+  const folder = vscode.workspace.getWorkspaceFolder(baseUri);
+  const roots = (vscode.workspace.workspaceFolders ?? []).map((item) => item.name);
+  if (!folder) {
+    return { directories: [], files: [], total: 0, tree: "", base: "", root: "", roots };
+  }
+
+  const prefix = relativeTo(folder, baseUri);
+  const indexed = await getIndexedFiles(folder);
+  const files = prefix
+    ? indexed
+        .filter((file) => file.startsWith(`${prefix}/`))
+        .map((file) => file.slice(prefix.length + 1))
+    : indexed;
+
+  const directories = new Set();
+  for (const file of files) {
+    let dir = path.posix.dirname(file);
+    while (dir !== "." && !directories.has(dir)) {
+      directories.add(dir);
+      dir = path.posix.dirname(dir);
+    }
+  }
+
+  const settings = getIndexSettings();
+  return {
+    directories: Array.from(directories).sort(),
+    files,
+    total: directories.size + files.length,
+    tree: summarizePathTree(files, {
+      tokenBudget: settings.tokenBudget,
+      collapseThreshold: settings.collapseThreshold,
+    }),
+    base: prefix,
+    root: folder.name,
+    roots,
+  };
+}
+
+/**
+ * Drop cached indexes when files are created or deleted, an ignore file
+ * changes, or the exclude settings change.
+ * @returns {vscode.Disposable}
+ */
+export function initWorkspaceIndex() {
+  const invalidate = (uri) => {
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (folder) indexCache.delete(folder.uri.toString());
+  };
+
+  const watcher = vscode.workspace.createFileSystemWatcher("**/*");
+  const onChange = watcher.onDidChange((uri) => {
+    const name = path.posix.basename(uri.path);
+    if (name === ".gitignore" || name === getIndexSettings().ignoreFile) {
+      invalidate(uri);
+    }
+  });
+  const onCreate = watcher.onDidCreate(invalidate);
+  const onDelete = watcher.onDidDelete(invalidate);
+  const onConfig = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration("files.exclude") || event.affectsConfiguration("ai.index")) {
+      indexCache.clear();
+    }
+  });
+  const onFolders = vscode.workspace.onDidChangeWorkspaceFolders(() => indexCache.clear());
+
+  return vscode.Disposable.from(watcher, onChange, onCreate, onDelete, onConfig, onFolders);
+}
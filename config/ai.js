@@ -1,47 +1,436 @@
 import * as vscode from "vscode";
 import OpenAI from "openai";
+import * as path from "path";
+
+import {
+  PROVIDER_IDS,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createVSCodeLMProvider,
+} from "./providers.js";
+import { createMockProvider, withRecording } from "./mockProvider.js";
+import { createFetch, getNetworkSettings } from "./network.js";
+import { logAiError } from "./logger.js";
+
+const API_KEY_SECRET = "ai.apiKey";
+const PROFILE_KEY_PREFIX = "ai.apiKey.profile.";
+
+export const FALLBACK_MODEL = "gpt-4.1-mini";
 
 let cachedClient;
+let cachedProvider;
+let secretStorage;
+/** @type {Map<string, string>} secret key -> API key */
+const cachedApiKeys = new Map();
+
+/**
+ * @typedef {Object} AiProfile
+ * @property {string} name
+ * @property {string} [provider] one of PROVIDER_IDS
+ * @property {string} [apiUrl]
+ * @property {string} [model]
+ * @property {Record<string, string>} [headers]
+ */
+
+/**
+ * Resource used to read `ai.*` settings so that workspace-folder values apply:
+ * the folder of the active editor, else the first workspace folder.
+ * @returns {vscode.Uri | undefined}
+ */
+export const getConfigScope = () => {
+  const activeUri = vscode.window.activeTextEditor?.document.uri;
+  const folder = activeUri && vscode.workspace.getWorkspaceFolder(activeUri);
+  return (folder ?? vscode.workspace.workspaceFolders?.[0])?.uri;
+};
+
+const getAiConfiguration = () =>
+  vscode.workspace.getConfiguration("ai", getConfigScope());
+
+/**
+ * Effective value of a top-level `ai.<key>` setting and the scope it comes
+ * from. Outside a multi-root workspace the folder settings are the workspace
+ * settings, so they are reported as "Workspace".
+ * @param {string} key
+ * @returns {{ value: unknown; source: "Workspace Folder" | "Workspace" | "User" | "Default" }}
+ */
+export const inspectAiSetting = (key) => {
+  const inspected = getAiConfiguration().inspect(key);
+  if (inspected?.workspaceFolderValue !== undefined) {
+    return {
+      value: inspected.workspaceFolderValue,
+      source: vscode.workspace.workspaceFile ? "Workspace Folder" : "Workspace",
+    };
+  }
+  if (inspected?.workspaceValue !== undefined) {
+    return { value: inspected.workspaceValue, source: "Workspace" };
+  }
+  if (inspected?.globalValue !== undefined) {
+    return { value: inspected.globalValue, source: "User" };
+  }
+  return { value: inspected?.defaultValue, source: "Default" };
+};
+
+/**
+ * Secret storage key holding the API key of a profile ("" = default settings).
+ * @param {string} [profileName]
+ */
+const secretKeyFor = (profileName) =>
+  profileName ? `${PROFILE_KEY_PREFIX}${profileName}` : API_KEY_SECRET;
+
+/**
+ * Named provider profiles from `ai.profiles`, ignoring malformed entries.
+ * @returns {AiProfile[]}
+ */
+export const getProfiles = () => {
+  const raw = getAiConfiguration().get("profiles");
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+  return raw.filter(
+    (profile) =>
+      profile && typeof profile.name === "string" && profile.name.trim()
+  );
+};
+
+/**
+ * Configuration target that supplies the effective value of an inspected
+ * setting (workspace folder, workspace, then user settings); the user
+ * settings when it is not set anywhere.
+ * @param {{ workspaceFolderValue?: unknown; workspaceValue?: unknown } | undefined} inspected
+ * @returns {vscode.ConfigurationTarget}
+ */
+export const effectiveConfigurationTarget = (inspected) => {
+  if (inspected?.workspaceFolderValue !== undefined) {
+    return vscode.ConfigurationTarget.WorkspaceFolder;
+  }
+  if (inspected?.workspaceValue !== undefined) {
+    return vscode.ConfigurationTarget.Workspace;
+  }
+  return vscode.ConfigurationTarget.Global;
+};
+
+/**
+ * Write a top-level `ai.<key>` setting where its current value comes from,
+ * so the new value is the one that applies.
+ * @param {string} key
+ * @param {unknown} value
+ */
+export const updateEffectiveAiSetting = async (key, value) => {
+  const config = getAiConfiguration();
+  await config.update(key, value, effectiveConfigurationTarget(config.inspect(key)));
+};
+
+/**
+ * Persist the profile list where the current list comes from (workspace
+ * folder, workspace or user settings), so the edit is the one that applies.
+ * @param {AiProfile[]} profiles
+ */
+export const saveProfiles = (profiles) => updateEffectiveAiSetting("profiles", profiles);
+
+/**
+ * Name of the active profile, or "" when the top-level `ai.*` settings apply.
+ * A name that no longer matches a profile falls back to the default.
+ */
+export const getActiveProfileName = () => {
+  const name = getAiConfiguration().get("activeProfile", "")?.trim();
+  if (!name) {
+    return "";
+  }
+  return getProfiles().some((profile) => profile.name === name) ? name : "";
+};
+
+/**
+ * Resolve the settings of the active profile without requiring an API key.
+ */
+export const getActiveProfile = () => {
+  const config = getAiConfiguration();
+  const name = getActiveProfileName();
+  const profile = getProfiles().find((item) => item.name === name);
+
+  const providerSetting = profile?.provider || config.get("provider") || "openai";
+  const provider = PROVIDER_IDS.includes(providerSetting) ? providerSetting : "openai";
+  const apiUrl = (profile ? profile.apiUrl : config.get("apiUrl"))?.trim() ?? "";
+  const model =
+    profile?.model?.trim() || config.get("model")?.trim() || FALLBACK_MODEL;
+  const headers =
+    profile?.headers && typeof profile.headers === "object"
+      ? profile.headers
+      : {};
+
+  return {
+    name,
+    provider,
+    apiKey: (cachedApiKeys.get(secretKeyFor(name)) ?? "").trim(),
+    apiUrl,
+    model,
+    headers,
+  };
+};
+
+/**
+ * Model to use for AI requests, resolved against the active profile.
+ */
+export const getAIModel = () => getActiveProfile().model;
+
+/**
+ * Record/replay settings (`ai.mock.*`). A relative fixtures folder is
+ * resolved against the first workspace folder.
+ */
+export const getMockSettings = () => {
+  const config = vscode.workspace.getConfiguration("ai.mock");
+  const configured = config.get("fixturesDir", "")?.trim() ?? "";
+  const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+
+  let fixturesDir = configured;
+  if (configured && !path.isAbsolute(configured) && workspaceRoot) {
+    fixturesDir = path.join(workspaceRoot, configured);
+  }
+
+  return { fixturesDir, record: config.get("record", false) };
+};
 
 const resolveConfig = () => {
-  const config = vscode.workspace.getConfiguration("ai");
-  const apiKey = config.get("apiKey")?.trim() ?? "";
-  const apiUrl = config.get("apiUrl")?.trim() ?? "";
+  const profile = getActiveProfile();
 
-  if (!apiKey) {
+  // vscode-lm authenticates through VS Code itself; mock replays local fixtures
+  if (
+    !profile.apiKey &&
+    profile.provider !== "vscode-lm" &&
+    profile.provider !== "mock"
+  ) {
     throw new Error(
-      "AI API Key is not set. Run the AI: Set Config command first."
+      profile.name
+        ? `AI API Key is not set for profile "${profile.name}". Run the AI: Set Config command first.`
+        : "AI API Key is not set. Run the AI: Set Config command first."
+    );
+  }
+
+  return profile;
+};
+
+/**
+ * Move a plain-text `ai.apiKey` setting into SecretStorage and clear it from
+ * every configuration scope it was written to.
+ * @param {vscode.SecretStorage} secrets
+ */
+const migrateApiKeySetting = async (secrets) => {
+  const config = vscode.workspace.getConfiguration("ai");
+  const inspected = config.inspect("apiKey");
+  if (!inspected) {
+    return;
+  }
+
+  const scopes = [
+    { value: inspected.workspaceFolderValue, target: vscode.ConfigurationTarget.WorkspaceFolder },
+    { value: inspected.workspaceValue, target: vscode.ConfigurationTarget.Workspace },
+    { value: inspected.globalValue, target: vscode.ConfigurationTarget.Global },
+  ].filter((scope) => scope.value !== undefined);
+  if (!scopes.length) {
+    return;
+  }
+
+  const legacyKey = scopes
+    .map((scope) => (typeof scope.value === "string" ? scope.value.trim() : ""))
+    .find((value) => value);
+  const storedKey = await secrets.get(API_KEY_SECRET);
+  if (legacyKey && !storedKey) {
+    await secrets.store(API_KEY_SECRET, legacyKey);
+  }
+
+  for (const scope of scopes) {
+    try {
+      await config.update("apiKey", undefined, scope.target);
+    } catch {
+      // Folder-scoped updates fail when no folder is open; nothing to clear then.
+    }
+  }
+};
+
+/**
+ * Load the default key and the key of every configured profile into memory so
+ * that getGlobalAI() can stay synchronous.
+ */
+const loadApiKeys = async () => {
+  if (!secretStorage) {
+    return;
+  }
+  const names = ["", ...getProfiles().map((profile) => profile.name)];
+  for (const name of names) {
+    const key = secretKeyFor(name);
+    cachedApiKeys.set(key, (await secretStorage.get(key)) ?? "");
+  }
+};
+
+/**
+ * Wire the extension's SecretStorage into the AI client: migrates a legacy
+ * `ai.apiKey` setting, loads the stored keys and keeps them in sync.
+ * @param {vscode.ExtensionContext} context
+ * @returns {Promise<vscode.Disposable>}
+ */
+export const initAiSecrets = async (context) => {
+  secretStorage = context.secrets;
+
+  try {
+    await migrateApiKeySetting(context.secrets);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    void vscode.window.showWarningMessage(
+      `Could not migrate ai.apiKey to secure storage: ${message}`
     );
   }
 
-  return { apiKey, apiUrl };
+  await loadApiKeys();
+
+  const secretsListener = context.secrets.onDidChange(async (event) => {
+    if (event.key === API_KEY_SECRET || event.key.startsWith(PROFILE_KEY_PREFIX)) {
+      cachedApiKeys.set(event.key, (await context.secrets.get(event.key)) ?? "");
+      resetGlobalAI();
+    }
+  });
+  const profilesListener = vscode.workspace.onDidChangeConfiguration(
+    async (event) => {
+      if (event.affectsConfiguration("ai.profiles")) {
+        await loadApiKeys();
+        resetGlobalAI();
+      }
+    }
+  );
+
+  return vscode.Disposable.from(secretsListener, profilesListener);
+};
+
+/**
+ * API key of a profile ("" or omitted = default settings).
+ * @param {string} [profileName]
+ */
+export const getApiKey = (profileName = "") =>
+  cachedApiKeys.get(secretKeyFor(profileName)) ?? "";
+
+/**
+ * Every API key currently loaded, so logs can redact them.
+ */
+export const getKnownApiKeys = () =>
+  Array.from(cachedApiKeys.values()).filter(Boolean);
+
+/**
+ * Persist the API key of a profile in SecretStorage. An empty value removes it.
+ * @param {string} apiKey
+ * @param {string} [profileName] defaults to the default (non-profile) settings
+ */
+export const setApiKey = async (apiKey, profileName = "") => {
+  if (!secretStorage) {
+    throw new Error("Secret storage is not initialized");
+  }
+
+  const key = secretKeyFor(profileName);
+  const trimmed = apiKey.trim();
+  if (trimmed) {
+    await secretStorage.store(key, trimmed);
+  } else {
+    await secretStorage.delete(key);
+  }
+  cachedApiKeys.set(key, trimmed);
+  resetGlobalAI();
 };
 
+/**
+ * Headers sent with every request: `ai.defaultHeaders`, overridden per name by
+ * the active profile's headers.
+ * @param {Record<string, string>} profileHeaders
+ * @param {import("./network.js").NetworkSettings} network
+ */
+const mergeHeaders = (profileHeaders, network) => ({
+  ...network.defaultHeaders,
+  ...profileHeaders,
+});
+
 export const getGlobalAI = () => {
-  const { apiKey, apiUrl } = resolveConfig();
+  const { name, apiKey, apiUrl, headers } = resolveConfig();
+  const network = getNetworkSettings();
+  const settingsKey = JSON.stringify([headers, network]);
 
   if (
     !cachedClient ||
+    cachedClient.profile !== name ||
     cachedClient.apiKey !== apiKey ||
-    cachedClient.apiUrl !== apiUrl
+    cachedClient.apiUrl !== apiUrl ||
+    cachedClient.settingsKey !== settingsKey
   ) {
     cachedClient = {
       client: new OpenAI({
         apiKey,
         baseURL: apiUrl || undefined,
+        organization: network.organization || undefined,
+        project: network.project || undefined,
+        defaultHeaders: mergeHeaders(headers, network),
+        timeout: network.timeoutMs,
+        fetch: createFetch(network),
+        // Retries are handled by requestChat() in config/request.js
+        maxRetries: 0,
       }),
+      profile: name,
       apiKey,
       apiUrl,
+      settingsKey,
     };
   }
 
   return cachedClient.client;
 };
 
+/**
+ * Provider adapter for the active profile (see config/providers.js).
+ * Commands should call `getAIProvider().chat(...)` instead of a specific SDK.
+ * @returns {import("./providers.js").AIProvider}
+ */
+export const getAIProvider = () => {
+  const profile = resolveConfig();
+  const mock = getMockSettings();
+  const network = getNetworkSettings();
+  const key = JSON.stringify([
+    profile.provider,
+    profile.name,
+    profile.apiKey,
+    profile.apiUrl,
+    profile.headers,
+    network,
+    mock,
+  ]);
+
+  if (!cachedProvider || cachedProvider.key !== key) {
+    let provider;
+    if (profile.provider === "mock") {
+      provider = createMockProvider(mock);
+    } else if (profile.provider === "anthropic") {
+      provider = createAnthropicProvider({
+        apiKey: profile.apiKey,
+        apiUrl: profile.apiUrl,
+        headers: mergeHeaders(profile.headers, network),
+        fetch: createFetch(network),
+      });
+    } else if (profile.provider === "vscode-lm") {
+      provider = createVSCodeLMProvider();
+    } else {
+      provider = createOpenAIProvider(getGlobalAI());
+    }
+    if (mock.record && mock.fixturesDir && profile.provider !== "mock") {
+      provider = withRecording(provider, { fixturesDir: mock.fixturesDir, onError: logAiError });
+    }
+    cachedProvider = { provider, key };
+  }
+
+  return cachedProvider.provider;
+};
+
 export const resetGlobalAI = () => {
   cachedClient = undefined;
+  cachedProvider = undefined;
 };
 
+/**
+ * Drop the cached client and provider whenever an `ai.*` setting changes.
+ * @returns {vscode.Disposable}
+ */
 export const registerAiConfigWatcher = () =>
   vscode.workspace.onDidChangeConfiguration((event) => {
     if (event.affectsConfiguration("ai")) {
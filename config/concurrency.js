@@ -0,0 +1,69 @@
+/**
+ * @template T
+ * @typedef {{ status: "fulfilled"; value: T } | { status: "rejected"; reason: any } | undefined} TaskResult
+ *   undefined when the task was never started because the signal aborted
+ */
+
+/**
+ * Run `worker` over the items with at most `limit` tasks in flight. Once the
+ * signal aborts no new task starts; tasks already running finish (or fail)
+ * on their own, so pass the signal on to them as well.
+ * With `dependsOn`, an item starts only after the items it depends on have
+ * settled (successfully or not). When only items waiting on each other are
+ * left, the first of them in list order starts anyway, which breaks cycles.
+ * @template I, T
+ * @param {I[]} items
+ * @param {number} limit
+ * @param {(item: I, index: number) => Promise<T>} worker
+ * @param {AbortSignal} [signal]
+ * @param {(index: number) => number[]} [dependsOn] positions of the items an item needs first
+ * @returns {Promise<Array<TaskResult<T>>>} in the order of the items
+ */
+export function mapWithConcurrency(items, limit, worker, signal, dependsOn) {
+  /** @type {Array<TaskResult<T>>} */
+  const results = new Array(items.length).fill(undefined);
+  const waiting = items.map(
+    (_, index) =>
+      new Set((dependsOn?.(index) ?? []).filter((dep) => dep !== index && dep >= 0 && dep < items.length))
+  );
+  const started = new Array(items.length).fill(false);
+  const lanes = Math.max(1, Math.floor(limit) || 1);
+  let running = 0;
+
+  return new Promise((resolve) => {
+    const start = (index) => {
+      started[index] = true;
+      running += 1;
+      (async () => worker(items[index], index))()
+        .then(
+          (value) => {
+            results[index] = { status: "fulfilled", value };
+          },
+          (reason) => {
+            results[index] = { status: "rejected", reason };
+          }
+        )
+        .then(() => {
+          running -= 1;
+          waiting.forEach((deps) => deps.delete(index));
+          pump();
+        });
+    };
+
+    const pump = () => {
+      while (running < lanes && !signal?.aborted) {
+        let next = waiting.findIndex((deps, index) => !started[index] && deps.size === 0);
+        if (next === -1 && running === 0) {
+          next = started.indexOf(false);
+        }
+        if (next === -1) break;
+        start(next);
+      }
+      if (running === 0 && (signal?.aborted || started.every(Boolean))) {
+        resolve(results);
+      }
+    };
+
+    pump();
+  });
+}
@@ -0,0 +1,168 @@
+import * as vscode from "vscode";
+import * as fs from "fs/promises";
+
+import { getKnownApiKeys } from "./ai.js";
+import { compilePatterns, redactValue } from "./redact.js";
+
+const LOG_FILE_NAME = "ai-requests.jsonl";
+/** Past this size the log file is rolled over to `ai-requests.jsonl.1` */
+const LOG_FILE_MAX_BYTES = 5 * 1024 * 1024;
+const RECENT_ENTRY_LIMIT = 500;
+
+/** @type {vscode.LogOutputChannel | undefined} */
+let channel;
+/** @type {vscode.Uri | undefined} */
+let logDirUri;
+/** @type {AIRequestLogEntry[]} */
+const recentEntries = [];
+/** Serializes appends to the JSONL file */
+let fileQueue = Promise.resolve();
+
+/**
+ * @typedef {Object} AIRequestLogEntry
+ * @property {string} time ISO timestamp
+ * @property {string} [runId]
+ * @property {string} command
+ * @property {string} [template]
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} attempt 1-based
+ * @property {number} latencyMs
+ * @property {"ok" | "retry" | "error"} status
+ * @property {number} [httpStatus]
+ * @property {string} [error]
+ * @property {import("./providers.js").ChatUsage} [usage]
+ * @property {import("./providers.js").ChatMessage[]} messages
+ * @property {string} [responseFormat]
+ * @property {string} [response]
+ */
+
+/**
+ * Create the "AI" output channel and remember where the JSONL log goes.
+ * @param {vscode.ExtensionContext} context
+ * @returns {vscode.Disposable}
+ */
+export const initAiLog = (context) => {
+  channel = vscode.window.createOutputChannel("AI", { log: true });
+  logDirUri = context.globalStorageUri;
+  return channel;
+};
+
+export const getLogFileUri = () =>
+  logDirUri ? vscode.Uri.joinPath(logDirUri, LOG_FILE_NAME) : undefined;
+
+const getLogSettings = () => {
+  const config = vscode.workspace.getConfiguration("ai.log");
+  return {
+    toFile: config.get("toFile", false),
+    maxContentLength: Math.max(0, config.get("maxContentLength", 4000)),
+    patterns: compilePatterns(config.get("redactPatterns", [])),
+  };
+};
+
+/**
+ * @param {string | undefined} text
+ * @param {number} max 0 = unlimited
+ */
+const truncate = (text, max) =>
+  text && max && text.length > max
+    ? `${text.slice(0, max)}… (${text.length - max} more chars)`
+    : text;
+
+/**
+ * @param {AIRequestLogEntry} entry
+ * @param {number} maxContentLength
+ */
+const formatEntry = (entry, maxContentLength) => {
+  const who = [entry.command, entry.template].filter(Boolean).join(" / ");
+  const head = `[${who}] ${entry.provider}/${entry.model} attempt ${entry.attempt} ${entry.status.toUpperCase()} in ${entry.latencyMs} ms${
+    entry.httpStatus ? ` (HTTP ${entry.httpStatus})` : ""
+  }${entry.usage ? ` · ${entry.usage.promptTokens}+${entry.usage.completionTokens} tokens` : ""}`;
+
+  const lines = [head];
+  for (const message of entry.messages) {
+    lines.push(`  ${message.role}: ${truncate(message.content, maxContentLength)}`);
+  }
+  if (entry.error) lines.push(`  error: ${entry.error}`);
+  if (entry.response !== undefined) {
+    lines.push(`  response: ${truncate(entry.response, maxContentLength)}`);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Append a line to the log file, first moving a full file to `.1` (replacing
+ * the previous one), so at most two files of about LOG_FILE_MAX_BYTES remain.
+ * @param {string} file
+ * @param {string} line
+ */
+const appendWithRotation = async (file, line) => {
+  const size = await fs.stat(file).then(
+    (stats) => stats.size,
+    () => 0
+  );
+  if (size > 0 && size + Buffer.byteLength(line) > LOG_FILE_MAX_BYTES) {
+    await fs.rename(file, `${file}.1`);
+  }
+  await fs.appendFile(file, line, "utf8");
+};
+
+/**
+ * Record one request attempt: redacts secrets, writes to the "AI" output
+ * channel and, when `ai.log.toFile` is on, appends a JSONL line.
+ * @param {AIRequestLogEntry} rawEntry
+ */
+export const logAiRequest = (rawEntry) => {
+  const settings = getLogSettings();
+  const entry = redactValue(rawEntry, {
+    secrets: getKnownApiKeys(),
+    patterns: settings.patterns,
+  });
+
+  recentEntries.push(entry);
+  if (recentEntries.length > RECENT_ENTRY_LIMIT) {
+    recentEntries.splice(0, recentEntries.length - RECENT_ENTRY_LIMIT);
+  }
+
+  const text = formatEntry(entry, settings.maxContentLength);
+  if (entry.status === "ok") channel?.info(text);
+  else if (entry.status === "retry") channel?.warn(text);
+  else channel?.error(text);
+
+  const fileUri = getLogFileUri();
+  if (settings.toFile && logDirUri && fileUri) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const dir = logDirUri.fsPath;
+    fileQueue = fileQueue
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        await appendWithRotation(fileUri.fsPath, line);
+      })
+      .catch((error) => {
+        channel?.error(
+          `Failed to write ${LOG_FILE_NAME}: ${error instanceof Error ? error.message : String(error)}`
+        );
+      });
+  }
+};
+
+/**
+ * Entries of the most recent run that made AI requests in this session.
+ * @returns {AIRequestLogEntry[]}
+ */
+export const getLastRunEntries = () => {
+  const last = [...recentEntries].reverse().find((entry) => entry.runId);
+  if (!last) {
+    return [];
+  }
+  return recentEntries.filter((entry) => entry.runId === last.runId);
+};
+
+/**
+ * Report a problem that does not fail the request, e.g. a fixture that could
+ * not be recorded.
+ * @param {string} message
+ */
+export const logAiError = (message) => channel?.error(message);
+
+export const showAiLogChannel = () => channel?.show(true);
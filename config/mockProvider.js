@@ -0,0 +1,146 @@
+import * as fs from "fs/promises";
+import * as path from "path";
+import { createHash } from "crypto";
+
+/**
+ * @typedef {Object} ChatFixture
+ * @property {string} [key] request hash, see fixtureKey()
+ * @property {string} [match] hand-written fixtures: substring of the last user message
+ * @property {{ model: string; messages: any[]; responseFormat?: string }} [request]
+ * @property {{ content: string; usage?: import("./providers.js").ChatUsage }} response
+ * @property {string} [recordedAt]
+ */
+
+/**
+ * Stable hash of the parts of a request that determine the response.
+ * @param {import("./providers.js").ChatRequest} request
+ */
+export function fixtureKey(request) {
+  const payload = JSON.stringify({
+    model: request.model,
+    messages: request.messages.map((message) => ({
+      role: message.role,
+      content: message.content,
+    })),
+    responseFormat: request.responseFormat || "text",
+  });
+  return createHash("sha256").update(payload).digest("hex").slice(0, 16);
+}
+
+/**
+ * @param {string} fixturesDir
+ * @returns {Promise<ChatFixture[]>}
+ */
+async function readFixtures(fixturesDir) {
+  let names;
+  try {
+    names = await fs.readdir(fixturesDir);
+  } catch {
+    return [];
+  }
+
+  const fixtures = [];
+  for (const name of names.filter((item) => item.endsWith(".json")).sort()) {
+    try {
+      const text = await fs.readFile(path.join(fixturesDir, name), "utf8");
+      fixtures.push(JSON.parse(text));
+    } catch {
+      // Ignore unreadable or malformed fixture files
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Offline provider that replays recorded responses from `fixturesDir`.
+ * Lookup order: exact request hash (`<key>.json`), then the first fixture
+ * whose `match` text occurs in the last user message.
+ * @param {{ fixturesDir: string }} options
+ * @returns {import("./providers.js").AIProvider}
+ */
+export function createMockProvider({ fixturesDir }) {
+  return {
+    id: "mock",
+    async chat(request) {
+      if (!fixturesDir) {
+        throw new Error("Mock provider needs ai.mock.fixturesDir to be set");
+      }
+
+      const key = fixtureKey(request);
+      /** @type {ChatFixture | undefined} */
+      let fixture;
+      try {
+        const text = await fs.readFile(path.join(fixturesDir, `${key}.json`), "utf8");
+        fixture = JSON.parse(text);
+      } catch {
+        const lastUser = [...request.messages]
+          .reverse()
+          .find((message) => message.role === "user");
+        const fixtures = await readFixtures(fixturesDir);
+        fixture = fixtures.find(
+          (item) =>
+            typeof item.match === "string" &&
+            lastUser?.content.includes(item.match)
+        );
+      }
+
+      if (!fixture || typeof fixture.response?.content !== "string") {
+        throw new Error(
+          `No recorded fixture for this request (${key}.json in ${fixturesDir}). Record one with ai.mock.record against a real endpoint.`
+        );
+      }
+
+      request.stream?.write(fixture.response.content);
+      return { content: fixture.response.content, usage: fixture.response.usage };
+    },
+    async listModels() {
+      const fixtures = await readFixtures(fixturesDir);
+      const models = fixtures
+        .map((item) => item.request?.model)
+        .filter((model) => typeof model === "string");
+      return Array.from(new Set(models)).sort();
+    },
+  };
+}
+
+/**
+ * Wrap a real provider so every successful response is written to
+ * `fixturesDir` for later replay by the mock provider. A fixture that cannot
+ * be written is reported through `onError`; the response is returned anyway.
+ * @param {import("./providers.js").AIProvider} provider
+ * @param {{ fixturesDir: string; onError?: (message: string) => void }} options
+ * @returns {import("./providers.js").AIProvider}
+ */
+export function withRecording(provider, { fixturesDir, onError }) {
+  return {
+    ...provider,
+    async chat(request) {
+      const response = await provider.chat(request);
+      const key = fixtureKey(request);
+      /** @type {ChatFixture} */
+      const fixture = {
+        key,
+        request: {
+          model: request.model,
+          messages: request.messages,
+          responseFormat: request.responseFormat || "text",
+        },
+        response: { content: response.content, usage: response.usage },
+        recordedAt: new Date().toISOString(),
+      };
+      try {
+        await fs.mkdir(fixturesDir, { recursive: true });
+        await fs.writeFile(
+          path.join(fixturesDir, `${key}.json`),
+          `${JSON.stringify(fixture, null, 2)}\n`,
+          "utf8"
+        );
+      } catch (error) {
+        onError?.(
+          `Could not record fixture ${key}.json in ${fixturesDir}: ${error instanceof Error ? error.message : String(error)}`
+        );
+      }
+      return response;
+    },
+  };
+}
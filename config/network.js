@@ -0,0 +1,114 @@
+import * as vscode from "vscode";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as tls from "tls";
+import { Agent, ProxyAgent, fetch as undiciFetch } from "undici";
+
+/**
+ * @typedef {Object} NetworkSettings
+ * @property {Record<string, string>} defaultHeaders sent with every request
+ * @property {string} organization OpenAI organization ID
+ * @property {string} project OpenAI project ID
+ * @property {number} timeoutMs
+ * @property {string} proxy proxy URL ("" = direct connection)
+ * @property {string[]} caCertificates absolute paths of extra PEM files
+ */
+
+/**
+ * @param {string} file
+ */
+const resolveCertificatePath = (file) => {
+  const expanded = file.startsWith("~") ? path.join(os.homedir(), file.slice(1)) : file;
+  const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+  return !path.isAbsolute(expanded) && workspaceRoot
+    ? path.join(workspaceRoot, expanded)
+    : expanded;
+};
+
+/**
+ * Client-level network settings (`ai.defaultHeaders`, `ai.organization`,
+ * `ai.project`, `ai.proxy`, `ai.caCertificates`, `ai.request.timeout`).
+ * Without `ai.proxy`, requests use VS Code's own networking, which already
+ * honours `http.proxy` and HTTPS_PROXY.
+ * @returns {NetworkSettings}
+ */
+export const getNetworkSettings = () => {
+  const config = vscode.workspace.getConfiguration("ai");
+  const rawHeaders = config.get("defaultHeaders", {});
+  const defaultHeaders =
+    rawHeaders && typeof rawHeaders === "object" && !Array.isArray(rawHeaders)
+      ? Object.fromEntries(
+          Object.entries(rawHeaders).filter(
+            ([name, value]) => name.trim() && typeof value === "string"
+          )
+        )
+      : {};
+
+  const caCertificates = (config.get("caCertificates", []) || [])
+    .filter((file) => typeof file === "string" && file.trim())
+    .map((file) => resolveCertificatePath(file.trim()));
+
+  return {
+    defaultHeaders,
+    organization: config.get("organization", "")?.trim() ?? "",
+    project: config.get("project", "")?.trim() ?? "",
+    timeoutMs: Math.max(1000, config.get("request.timeout", 120000)),
+    proxy: config.get("proxy", "")?.trim() ?? "",
+    caCertificates,
+  };
+};
+
+/**
+ * Read the configured CA files and append them to Node's bundled roots.
+ * @param {string[]} files
+ * @returns {string[] | undefined}
+ */
+const loadCertificates = (files) => {
+  if (!files.length) {
+    return undefined;
+  }
+  const extra = files.map((file) => {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Cannot read CA certificate "${file}" (ai.caCertificates): ${message}`);
+    }
+  });
+  return [...tls.rootCertificates, ...extra];
+};
+
+/**
+ * A fetch implementation routed through the configured proxy and trusting the
+ * extra CA certificates, or undefined when the default fetch will do.
+ * @param {Pick<NetworkSettings, "proxy" | "caCertificates">} settings
+ * @returns {typeof globalThis.fetch | undefined}
+ */
+export const createFetch = ({ proxy, caCertificates }) => {
+  if (!proxy && !caCertificates.length) {
+    return undefined;
+  }
+
+  const ca = loadCertificates(caCertificates);
+  let dispatcher;
+  if (proxy) {
+    try {
+      new URL(proxy);
+    } catch {
+      throw new Error(`Invalid proxy URL (ai.proxy): ${proxy}`);
+    }
+    dispatcher = new ProxyAgent({
+      uri: proxy,
+      ...(ca ? { requestTls: { ca }, proxyTls: { ca } } : {}),
+    });
+  } else {
+    dispatcher = new Agent({ connect: { ca } });
+  }
+
+  return /** @type {typeof globalThis.fetch} */ (
+    /** @type {unknown} */ (
+      (input, init) => undiciFetch(input, { ...init, dispatcher })
+    )
+  );
+};
@@ -0,0 +1,359 @@
+import * as vscode from "vscode";
+
+import { readServerSentEvents } from "./sse.js";
+
+export const PROVIDER_IDS = ["openai", "anthropic", "vscode-lm", "mock"];
+
+const ANTHROPIC_DEFAULT_URL = "https://api.anthropic.com";
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+const JSON_ONLY_INSTRUCTION =
+  "Respond with a single valid JSON object only, without code fences or any other text.";
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {"system" | "user" | "assistant"} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {string} model
+ * @property {ChatMessage[]} messages
+ * @property {"text" | "json"} [responseFormat] "json" asks for a JSON object response
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {AbortSignal} [signal]
+ * @property {ChatStream} [stream] receives the answer while it is generated
+ */
+
+/**
+ * @typedef {Object} ChatStream
+ * @property {(delta: string) => void} write called with each new piece of the answer
+ * @property {() => void} reset the answer starts over (before a retry)
+ * @property {() => void} end the answer is complete; called once, after the last write
+ */
+
+/**
+ * @typedef {Object} ChatUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ */
+
+/**
+ * @typedef {Object} ChatResponse
+ * @property {string} content
+ * @property {ChatUsage | undefined} usage
+ */
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} id
+ * @property {(request: ChatRequest) => Promise<ChatResponse>} chat
+ * @property {() => Promise<string[]>} listModels
+ */
+
+/**
+ * Error raised by adapters that talk HTTP themselves, shaped like the OpenAI
+ * SDK errors (`status`, `headers`) so callers can treat them the same way.
+ */
+export class AIRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number; headers?: Headers }} [details]
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "AIRequestError";
+    this.status = details.status;
+    this.headers = details.headers;
+  }
+}
+
+/**
+ * @param {any} usage OpenAI usage object
+ * @returns {ChatUsage | undefined}
+ */
+const openAIUsage = (usage) =>
+  usage
+    ? {
+        promptTokens: usage.prompt_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? 0,
+        totalTokens: usage.total_tokens ?? 0,
+      }
+    : undefined;
+
+/**
+ * OpenAI-compatible chat completions through the official SDK. Requests with
+ * a `stream` are sent with `stream: true` and forward each content delta.
+ * @param {import("openai").default} client
+ * @returns {AIProvider}
+ */
+export function createOpenAIProvider(client) {
+  return {
+    id: "openai",
+    async chat(request) {
+      /** @type {any} */
+      const body = {
+        model: request.model,
+        messages: request.messages,
+      };
+      if (request.responseFormat === "json") {
+        body.response_format = { type: "json_object" };
+      }
+      if (request.temperature !== undefined) body.temperature = request.temperature;
+      if (request.maxTokens !== undefined) body.max_tokens = request.maxTokens;
+
+      if (request.stream) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+        const chunks = await client.chat.completions.create(body, {
+          signal: request.signal,
+        });
+        let content = "";
+        let usage;
+        for await (const chunk of chunks) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            request.stream.write(delta);
+          }
+          if (chunk.usage) usage = openAIUsage(chunk.usage);
+        }
+        return { content, usage };
+      }
+
+      const response = await client.chat.completions.create(body, {
+        signal: request.signal,
+      });
+
+      return {
+        content: response.choices?.[0]?.message?.content || "",
+        usage: openAIUsage(response.usage),
+      };
+    },
+    async listModels() {
+      const response = await client.models.list();
+      return response.data.map((model) => model.id);
+    },
+  };
+}
+
+/**
+ * Resolve an Anthropic endpoint, accepting base URLs with or without `/v1`.
+ * @param {string} apiUrl
+ * @param {string} endpoint e.g. "messages"
+ */
+function anthropicUrl(apiUrl, endpoint) {
+  const base = (apiUrl || ANTHROPIC_DEFAULT_URL).replace(/\/+$/, "");
+  return base.endsWith("/v1") ? `${base}/${endpoint}` : `${base}/v1/${endpoint}`;
+}
+
+/**
+ * @param {Response} response
+ */
+async function throwForStatus(response) {
+  if (response.ok) {
+    return;
+  }
+  let detail = "";
+  try {
+    const body = await response.json();
+    detail = body?.error?.message || JSON.stringify(body);
+  } catch {
+    detail = response.statusText;
+  }
+  throw new AIRequestError(`${response.status} ${detail}`, {
+    status: response.status,
+    headers: response.headers,
+  });
+}
+
+/**
+ * Read a streamed Anthropic Messages response, forwarding text deltas.
+ * @param {Response} response
+ * @param {ChatStream} stream
+ * @returns {Promise<ChatResponse>}
+ */
+async function readAnthropicStream(response, stream) {
+  let content = "";
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let hasUsage = false;
+  for await (const event of readServerSentEvents(response.body)) {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch {
+      continue;
+    }
+    if (data.type === "error") {
+      throw new AIRequestError(data.error?.message || "Stream error", {
+        status: data.error?.type === "overloaded_error" ? 529 : undefined,
+      });
+    }
+    if (data.type === "content_block_delta" && data.delta?.type === "text_delta") {
+      content += data.delta.text;
+      stream.write(data.delta.text);
+    }
+    const usage = data.type === "message_start" ? data.message?.usage : data.usage;
+    if (usage) {
+      hasUsage = true;
+      promptTokens = usage.input_tokens ?? promptTokens;
+      completionTokens = usage.output_tokens ?? completionTokens;
+    }
+  }
+  return {
+    content,
+    usage: hasUsage
+      ? { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      : undefined,
+  };
+}
+
+/**
+ * Anthropic Messages API over fetch. Requests with a `stream` use
+ * server-sent events.
+ * @param {{ apiKey: string; apiUrl: string; headers: Record<string, string>; fetch?: typeof globalThis.fetch }} options
+ * @returns {AIProvider}
+ */
+export function createAnthropicProvider({ apiKey, apiUrl, headers, fetch = globalThis.fetch }) {
+  const requestHeaders = {
+    "content-type": "application/json",
+    "x-api-key": apiKey,
+    "anthropic-version": ANTHROPIC_VERSION,
+    ...headers,
+  };
+
+  return {
+    id: "anthropic",
+    async chat(request) {
+      const systemParts = request.messages
+        .filter((message) => message.role === "system")
+        .map((message) => message.content);
+      if (request.responseFormat === "json") {
+        systemParts.push(JSON_ONLY_INSTRUCTION);
+      }
+
+      /** @type {any} */
+      const body = {
+        model: request.model,
+        max_tokens: request.maxTokens ?? ANTHROPIC_DEFAULT_MAX_TOKENS,
+        messages: request.messages
+          .filter((message) => message.role !== "system")
+          .map((message) => ({ role: message.role, content: message.content })),
+      };
+      if (systemParts.length) body.system = systemParts.join("\n\n");
+      if (request.temperature !== undefined) body.temperature = request.temperature;
+      if (request.stream) body.stream = true;
+
+      const response = await fetch(anthropicUrl(apiUrl, "messages"), {
+        method: "POST",
+        headers: requestHeaders,
+        body: JSON.stringify(body),
+        signal: request.signal,
+      });
+      await throwForStatus(response);
+      if (request.stream) {
+        return readAnthropicStream(response, request.stream);
+      }
+
+      const data = await response.json();
+      const content = Array.isArray(data.content)
+        ? data.content
+            .filter((block) => block.type === "text")
+            .map((block) => block.text)
+            .join("")
+        : "";
+      const usage = data.usage
+        ? {
+            promptTokens: data.usage.input_tokens ?? 0,
+            completionTokens: data.usage.output_tokens ?? 0,
+            totalTokens:
+              (data.usage.input_tokens ?? 0) + (data.usage.output_tokens ?? 0),
+          }
+        : undefined;
+
+      return { content, usage };
+    },
+    async listModels() {
+      const response = await fetch(anthropicUrl(apiUrl, "models"), {
+        headers: requestHeaders,
+      });
+      await throwForStatus(response);
+      const data = await response.json();
+      return Array.isArray(data.data) ? data.data.map((model) => model.id) : [];
+    },
+  };
+}
+
+/**
+ * Pick a VS Code language model by id, then by family, then any available one.
+ * @param {string} model
+ */
+async function selectLanguageModel(model) {
+  const byId = model ? await vscode.lm.selectChatModels({ id: model }) : [];
+  if (byId.length) return byId[0];
+  const byFamily = model ? await vscode.lm.selectChatModels({ family: model }) : [];
+  if (byFamily.length) return byFamily[0];
+  const any = await vscode.lm.selectChatModels();
+  if (any.length) return any[0];
+  throw new Error(
+    "No VS Code language model is available. Install or sign in to a chat model provider."
+  );
+}
+
+/**
+ * VS Code Language Model API (`vscode.lm`). System prompts are folded into
+ * the first user message since the API has no system role.
+ * @returns {AIProvider}
+ */
+export function createVSCodeLMProvider() {
+  return {
+    id: "vscode-lm",
+    async chat(request) {
+      const chatModel = await selectLanguageModel(request.model);
+
+      const systemText = request.messages
+        .filter((message) => message.role === "system")
+        .map((message) => message.content);
+      if (request.responseFormat === "json") {
+        systemText.push(JSON_ONLY_INSTRUCTION);
+      }
+
+      const messages = [];
+      let systemPending = systemText.join("\n\n");
+      for (const message of request.messages) {
+        if (message.role === "system") continue;
+        if (message.role === "assistant") {
+          messages.push(vscode.LanguageModelChatMessage.Assistant(message.content));
+          continue;
+        }
+        const text = systemPending ? `${systemPending}\n\n${message.content}` : message.content;
+        systemPending = "";
+        messages.push(vscode.LanguageModelChatMessage.User(text));
+      }
+
+      const tokenSource = new vscode.CancellationTokenSource();
+      const onAbort = () => tokenSource.cancel();
+      request.signal?.addEventListener("abort", onAbort);
+      try {
+        const response = await chatModel.sendRequest(messages, {}, tokenSource.token);
+        let content = "";
+        for await (const fragment of response.text) {
+          content += fragment;
+          request.stream?.write(fragment);
+        }
+        return { content, usage: undefined };
+      } finally {
+        request.signal?.removeEventListener("abort", onAbort);
+        tokenSource.dispose();
+      }
+    },
+    async listModels() {
+      const models = await vscode.lm.selectChatModels();
+      return models.map((model) => model.id);
+    },
+  };
+}
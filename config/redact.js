@@ -0,0 +1,75 @@
+const REDACTED = "[REDACTED]";
+const MIN_SECRET_LENGTH = 6;
+
+/** Credential-looking substrings, redacted regardless of configuration */
+const BUILT_IN_RULES = [
+  { pattern: /\bsk-[A-Za-z0-9_-]{16,}/g, replacement: REDACTED },
+  { pattern: /\b(Bearer)\s+[A-Za-z0-9._~+/=-]{8,}/gi, replacement: `$1 ${REDACTED}` },
+];
+
+/**
+ * Compile user-supplied patterns, skipping invalid ones.
+ * @param {string[]} patterns
+ * @returns {RegExp[]}
+ */
+export function compilePatterns(patterns) {
+  const compiled = [];
+  for (const pattern of patterns || []) {
+    if (typeof pattern !== "string" || !pattern) continue;
+    try {
+      compiled.push(new RegExp(pattern, "g"));
+    } catch {
+      // Ignore invalid regular expressions from settings
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Replace known secret values and secret-looking substrings with [REDACTED].
+ * @param {string} text
+ * @param {{ secrets?: string[]; patterns?: RegExp[] }} [options]
+ */
+export function redactText(text, options = {}) {
+  if (!text) return text;
+  let result = String(text);
+
+  const secrets = (options.secrets || [])
+    .filter((secret) => secret && secret.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+
+  for (const { pattern, replacement } of BUILT_IN_RULES) {
+    result = result.replace(pattern, replacement);
+  }
+  for (const pattern of options.patterns || []) {
+    result = result.replace(pattern, REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Redact every string inside a JSON-like value.
+ * @template T
+ * @param {T} value
+ * @param {{ secrets?: string[]; patterns?: RegExp[] }} [options]
+ * @returns {T}
+ */
+export function redactValue(value, options = {}) {
+  if (typeof value === "string") {
+    return /** @type {T} */ (redactText(value, options));
+  }
+  if (Array.isArray(value)) {
+    return /** @type {T} */ (value.map((item) => redactValue(item, options)));
+  }
+  if (value && typeof value === "object") {
+    return /** @type {T} */ (
+      Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, redactValue(item, options)])
+      )
+    );
+  }
+  return value;
+}
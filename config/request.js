@@ -0,0 +1,124 @@
+import * as vscode from "vscode";
+
+import { getAIProvider } from "./ai.js";
+import { isRetryableError, computeRetryDelay, sleep } from "./retry.js";
+import { recordUsage } from "./usage.js";
+import { logAiRequest } from "./logger.js";
+
+/**
+ * Retry/timeout/concurrency settings from `ai.request.*`.
+ */
+export const getRequestSettings = () => {
+  const config = vscode.workspace.getConfiguration("ai.request");
+  return {
+    maxRetries: Math.max(0, config.get("maxRetries", 3)),
+    timeoutMs: Math.max(1000, config.get("timeout", 120000)),
+    retryDelayMs: Math.max(0, config.get("retryDelay", 1000)),
+    concurrency: Math.min(16, Math.max(1, config.get("concurrency", 4))),
+  };
+};
+
+/**
+ * Run one provider call with a per-attempt timeout. A timeout surfaces as an
+ * error flagged `timeout: true` so it is retried like a network failure.
+ * @param {import("./providers.js").AIProvider} provider
+ * @param {import("./providers.js").ChatRequest} request
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal] caller cancellation
+ */
+async function chatWithTimeout(provider, request, timeoutMs, signal) {
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+  try {
+    return await provider.chat({ ...request, signal: combined });
+  } catch (error) {
+    if (timeoutSignal.aborted && !signal?.aborted) {
+      throw Object.assign(new Error(`Request timed out after ${timeoutMs} ms`), {
+        name: "TimeoutError",
+        timeout: true,
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Shared entry point for every AI call: sends the request through the active
+ * provider, retries rate limits and transient failures with exponential
+ * backoff (honoring Retry-After) and throws once the retries are used up.
+ * Token usage is recorded against `options.run` (see config/usage.js).
+ * A `request.stream` is reset before every retry, so it only ever holds the
+ * answer of the current attempt, and ended once the answer is complete.
+ * @param {import("./providers.js").ChatRequest} request
+ * @param {{ run?: import("./usage.js").AIRun }} [options]
+ * @returns {Promise<import("./providers.js").ChatResponse>}
+ */
+export async function requestChat(request, options = {}) {
+  const { maxRetries, timeoutMs, retryDelayMs } = getRequestSettings();
+  const provider = getAIProvider();
+  const signal = request.signal;
+
+  const logBase = {
+    runId: options.run?.id,
+    command: options.run?.command || "other",
+    template: options.run?.template || undefined,
+    provider: provider.id,
+    model: request.model,
+    messages: request.messages,
+    responseFormat: request.responseFormat,
+  };
+
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const startedAt = Date.now();
+    if (attempt > 0) {
+      request.stream?.reset();
+    }
+    try {
+      const response = await chatWithTimeout(provider, request, timeoutMs, signal);
+      request.stream?.end();
+      logAiRequest({
+        ...logBase,
+        time: new Date(startedAt).toISOString(),
+        attempt: attempt + 1,
+        latencyMs: Date.now() - startedAt,
+        status: "ok",
+        usage: response.usage,
+        response: response.content,
+      });
+      try {
+        await recordUsage(options.run, request, response);
+      } catch {
+        // Usage tracking must never fail the request itself
+      }
+      return response;
+    } catch (error) {
+      lastError = error;
+      const willRetry =
+        !signal?.aborted && isRetryableError(error) && attempt < maxRetries;
+      logAiRequest({
+        ...logBase,
+        time: new Date(startedAt).toISOString(),
+        attempt: attempt + 1,
+        latencyMs: Date.now() - startedAt,
+        status: willRetry ? "retry" : "error",
+        httpStatus: typeof error?.status === "number" ? error.status : undefined,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      if (!willRetry) {
+        break;
+      }
+      await sleep(computeRetryDelay(attempt, error, retryDelayMs), signal);
+    }
+  }
+
+  if (signal?.aborted) {
+    throw lastError;
+  }
+
+  const message = lastError instanceof Error ? lastError.message : String(lastError);
+  const attempts = isRetryableError(lastError) ? ` after ${maxRetries + 1} attempt(s)` : "";
+  throw new Error(`AI request failed${attempts}: ${message}`, { cause: lastError });
+}
+
+export default requestChat;
@@ -0,0 +1,119 @@
+const MAX_BACKOFF_MS = 30000;
+const MAX_RETRY_AFTER_MS = 120000;
+
+/**
+ * Read a header from either a fetch `Headers` instance or a plain object.
+ * @param {any} headers
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") {
+    return headers.get(name) ?? undefined;
+  }
+  const match = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  return match ? String(headers[match]) : undefined;
+}
+
+/**
+ * Delay requested by the server through `retry-after-ms` or `Retry-After`
+ * (seconds or an HTTP date).
+ * @param {any} headers
+ * @param {number} [now]
+ * @returns {number | undefined} milliseconds
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  const ms = Number(readHeader(headers, "retry-after-ms"));
+  if (Number.isFinite(ms) && ms >= 0) {
+    return Math.min(ms, MAX_RETRY_AFTER_MS);
+  }
+
+  const value = readHeader(headers, "retry-after");
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.min(Math.max(date - now, 0), MAX_RETRY_AFTER_MS);
+  }
+  return undefined;
+}
+
+const TRANSIENT_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"]);
+
+/**
+ * Whether an error without an HTTP status is a transient network failure:
+ * a request timeout, an OpenAI SDK connection error, a fetch network
+ * failure or a socket error code (also on the error's cause).
+ * @param {any} error
+ */
+function isNetworkFailure(error) {
+  if (error.timeout) return true;
+  if (error.name === "APIConnectionError" || error.name === "APIConnectionTimeoutError") return true;
+  if (error instanceof TypeError && /fetch|network/i.test(error.message)) return true;
+  return [error, error.cause].some((item) => item && TRANSIENT_CODES.has(item.code));
+}
+
+/**
+ * Rate limits, server errors, timeouts and connection failures are retried;
+ * client errors such as 400/401/404 and failures that would repeat the same
+ * way (a missing mock fixture, no VS Code language model, a bad argument)
+ * are not.
+ * @param {any} error
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+  if (error.name === "AbortError" && !error.timeout) return false;
+
+  const status = typeof error.status === "number" ? error.status : undefined;
+  if (status !== undefined) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  return isNetworkFailure(error);
+}
+
+/**
+ * Exponential backoff with jitter, overridden by the server's Retry-After.
+ * @param {number} attempt zero-based index of the failed attempt
+ * @param {any} error
+ * @param {number} baseDelayMs
+ * @param {() => number} [random]
+ */
+export function computeRetryDelay(attempt, error, baseDelayMs, random = Math.random) {
+  const retryAfter = parseRetryAfter(error?.headers);
+  if (retryAfter !== undefined) {
+    return retryAfter;
+  }
+  const exponential = Math.min(baseDelayMs * 2 ** attempt, MAX_BACKOFF_MS);
+  // Full jitter in the upper half keeps parallel requests from retrying in lockstep
+  return Math.round(exponential / 2 + (random() * exponential) / 2);
+}
+
+/**
+ * Sleep that rejects as soon as the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(undefined);
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,58 @@
+/**
+ * @typedef {Object} ServerSentEvent
+ * @property {string} event "message" when the event has no name
+ * @property {string} data
+ */
+
+/**
+ * Parse a text/event-stream body. Comments and events without data are
+ * skipped; multi-line data is joined with "\n".
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<ServerSentEvent>}
+ */
+export async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let event = "";
+  let data = [];
+
+  const lines = function* (final) {
+    let end;
+    while ((end = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // A trailing "\r" may be the first half of "\r\n"
+      if (!final && end === buffer.length - 1 && buffer[end] === "\r") break;
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + (buffer.startsWith("\r\n", end) ? 2 : 1));
+      yield line;
+    }
+    if (final && buffer) {
+      const line = buffer;
+      buffer = "";
+      yield line;
+      yield "";
+    }
+  };
+
+  const take = function* (final) {
+    for (const line of lines(final)) {
+      if (line === "") {
+        if (data.length) yield { event: event || "message", data: data.join("\n") };
+        event = "";
+        data = [];
+      } else if (!line.startsWith(":")) {
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "event") event = value;
+        else if (field === "data") data.push(value);
+      }
+    }
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    yield* take(false);
+  }
+  buffer += decoder.decode();
+  yield* take(true);
+}
@@ -0,0 +1,229 @@
+import * as vscode from "vscode";
+
+const USAGE_STORAGE_KEY = "extension.aiUsage";
+const DAY_RETENTION = 90;
+const RUN_RETENTION = 100;
+
+/** @type {vscode.Memento | undefined} */
+let usageState;
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} requests
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} cost USD
+ * @property {boolean} [estimated] true when a provider did not report usage
+ */
+
+/**
+ * @typedef {UsageTotals & { command: string; template: string; model: string }} UsageEntry
+ */
+
+/**
+ * @typedef {Object} AIRun
+ * @property {string} id
+ * @property {string} command
+ * @property {string} template
+ * @property {string} startedAt
+ * @property {string} [finishedAt]
+ * @property {UsageTotals} totals
+ */
+
+/**
+ * @typedef {Object} UsageData
+ * @property {Record<string, Record<string, UsageEntry>>} days date (YYYY-MM-DD) -> entry key -> totals
+ * @property {AIRun[]} runs most recent last
+ */
+
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+export const initUsageTracking = (context) => {
+  usageState = context.globalState;
+};
+
+const emptyTotals = () => ({
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  cost: 0,
+});
+
+/**
+ * @returns {UsageData}
+ */
+export const loadUsage = () => {
+  /** @type {UsageData | undefined} */
+  const data = usageState?.get(USAGE_STORAGE_KEY);
+  return {
+    days: data?.days && typeof data.days === "object" ? data.days : {},
+    runs: Array.isArray(data?.runs) ? data.runs : [],
+  };
+};
+
+/**
+ * @param {UsageData} data
+ */
+const saveUsage = async (data) => {
+  const dayKeys = Object.keys(data.days).sort();
+  for (const key of dayKeys.slice(0, Math.max(0, dayKeys.length - DAY_RETENTION))) {
+    delete data.days[key];
+  }
+  data.runs = data.runs.slice(-RUN_RETENTION);
+  await usageState?.update(USAGE_STORAGE_KEY, data);
+};
+
+export const clearUsage = async () => {
+  await usageState?.update(USAGE_STORAGE_KEY, undefined);
+};
+
+/**
+ * Local calendar day, e.g. "2026-10-18".
+ * @param {Date} [date]
+ */
+export const dayKey = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Price of a model from `ai.pricing` (USD per 1M tokens). Exact names win,
+ * otherwise the longest configured prefix applies, so "gpt-4o" also prices
+ * "gpt-4o-2024-08-06".
+ * @param {string} model
+ * @returns {{ input: number; output: number } | undefined}
+ */
+export const getModelPrice = (model) => {
+  /** @type {Record<string, { input?: number; output?: number }>} */
+  const table = vscode.workspace.getConfiguration("ai").get("pricing", {}) || {};
+  const name =
+    model in table
+      ? model
+      : Object.keys(table)
+          .filter((key) => model.startsWith(key))
+          .sort((a, b) => b.length - a.length)[0];
+  if (!name) {
+    return undefined;
+  }
+  const price = table[name] || {};
+  return { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+};
+
+/**
+ * @param {string} model
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ */
+export const computeCost = (model, promptTokens, completionTokens) => {
+  const price = getModelPrice(model);
+  if (!price) {
+    return 0;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+};
+
+/**
+ * Start tracking one command run. Pass the run to requestChat() so every
+ * request made on its behalf is attributed to it.
+ * @param {string} command
+ * @param {{ template?: string }} [details]
+ * @returns {AIRun}
+ */
+export const startRun = (command, details = {}) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  command,
+  template: details.template || "",
+  startedAt: new Date().toISOString(),
+  totals: emptyTotals(),
+});
+
+/**
+ * @param {UsageTotals} target
+ * @param {UsageTotals} delta
+ */
+const addTotals = (target, delta) => {
+  target.requests += delta.requests;
+  target.promptTokens += delta.promptTokens;
+  target.completionTokens += delta.completionTokens;
+  target.cost += delta.cost;
+  if (delta.estimated) target.estimated = true;
+};
+
+/**
+ * Record the usage of one request against its run and the daily totals.
+ * Providers that do not report usage get a rough estimate (4 chars ≈ 1 token).
+ * @param {AIRun | undefined} run
+ * @param {import("./providers.js").ChatRequest} request
+ * @param {import("./providers.js").ChatResponse} response
+ */
+export const recordUsage = async (run, request, response) => {
+  const estimated = !response.usage;
+  const promptTokens =
+    response.usage?.promptTokens ??
+    Math.ceil(request.messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+  const completionTokens =
+    response.usage?.completionTokens ?? Math.ceil(response.content.length / 4);
+
+  /** @type {UsageTotals} */
+  const delta = {
+    requests: 1,
+    promptTokens,
+    completionTokens,
+    cost: computeCost(request.model, promptTokens, completionTokens),
+  };
+  if (estimated) delta.estimated = true;
+
+  if (run) {
+    addTotals(run.totals, delta);
+  }
+
+  const command = run?.command || "other";
+  const template = run?.template || "";
+  const data = loadUsage();
+  const day = (data.days[dayKey()] ??= {});
+  const entryKey = JSON.stringify([command, template, request.model]);
+  const entry = (day[entryKey] ??= {
+    command,
+    template,
+    model: request.model,
+    ...emptyTotals(),
+  });
+  addTotals(entry, delta);
+  await saveUsage(data);
+};
+
+/**
+ * Store the finished run and return a short summary for the final message.
+ * Safe to call more than once; the run is stored the first time only.
+ * @param {AIRun} run
+ */
+export const finishRun = async (run) => {
+  if (run.finishedAt) {
+    return formatRunUsage(run);
+  }
+  run.finishedAt = new Date().toISOString();
+  if (run.totals.requests) {
+    const data = loadUsage();
+    data.runs.push(run);
+    await saveUsage(data);
+  }
+  return formatRunUsage(run);
+};
+
+/**
+ * e.g. "3 requests, 12,345 tokens, ~$0.0123"
+ * @param {AIRun} run
+ */
+export const formatRunUsage = (run) => {
+  const { requests, promptTokens, completionTokens, cost, estimated } = run.totals;
+  if (!requests) {
+    return "";
+  }
+  const tokens = (promptTokens + completionTokens).toLocaleString("en-US");
+  const parts = [`${requests} request(s)`, `${estimated ? "~" : ""}${tokens} tokens`];
+  if (cost > 0) {
+    parts.push(`~$${cost.toFixed(4)}`);
+  }
+  return parts.join(", ");
+};
@@ -5,113 +5,67 @@ import * as vscode from "vscode";
  */
 async function activate(context) {
   // Dynamic imports for ES modules
-  const { getGlobalAI } = await import("./config/ai.js");
+  const { initAiSecrets, registerAiConfigWatcher } = await import(
+    "./config/ai.js"
+  );
+  const { initUsageTracking } = await import("./config/usage.js");
+  const { initAiLog } = await import("./config/logger.js");
+  const { initWorkspaceIndex } = await import("./command/workspaceIndex.js");
+  const { initGenerationReview } = await import(
+    "./command/generationReview.js"
+  );
+  const { setAiConfig } = await import("./command/setAiConfig.js");
+  const { switchAiProfile, createProfileStatusBarItem } = await import(
+    "./command/switchAiProfile.js"
+  );
   const { generatePaths } = await import("./command/generatePaths.js");
   const { createProjectByAI } = await import(
     "./command/createProjectByAI.js"
   );
-  const { storePrompt } = await import("./command/storePrompt.js");
-  const setAiConfig = vscode.commands.registerCommand(
+  const { storePrompt, runPromptTemplateHere } = await import(
+    "./command/storePrompt.js"
+  );
+  const { showUsage } = await import("./command/showUsage.js");
+  const { showLastRunLog } = await import("./command/showLastRunLog.js");
+  const { testConnection } = await import("./command/testConnection.js");
+  const { applyPlanManifest } = await import("./command/applyPlanManifest.js");
+  const { initGenerationHistory, undoLastGeneration, showGenerationHistory } =
+    await import("./command/generationHistory.js");
+
+  // Load API keys from SecretStorage (migrating any legacy ai.apiKey setting)
+  const secretsWatcher = await initAiSecrets(context);
+  // Rebuild the cached AI client whenever an ai.* setting changes
+  const configWatcher = registerAiConfigWatcher();
+  initUsageTracking(context);
+  initGenerationHistory(context);
+  const aiLogChannel = initAiLog(context);
+  // Invalidate the cached workspace index on file and ignore-rule changes
+  const workspaceIndex = initWorkspaceIndex();
+  // Serve the previews of generated files shown before they are written
+  const generationReview = initGenerationReview();
+
+  // Register setAiConfig command
+  const setAiConfigCommand = vscode.commands.registerCommand(
     "extension.setAiConfig",
-    async () => {
-      const configList = [
-        { label: "API Key", value: "api" },
-        { label: "URL", value: "url" },
-        { label: "Model", value: "model" },
-      ];
-      const selectedConfig = await vscode.window.showQuickPick(configList, {
-        placeHolder: "Select AI configuration to set",
-        ignoreFocusOut: true,
-      });
-      if (!selectedConfig) {
-        return;
-      }
-
-      const aiConfig = vscode.workspace.getConfiguration("ai");
-      if (selectedConfig.value === "api") {
-        const oldApiKey = aiConfig.get("apiKey", "");
-        const apiKey = await vscode.window.showInputBox({
-          prompt: "Enter your AI API Key",
-          value: oldApiKey,
-          ignoreFocusOut: true,
-        });
-        if (apiKey === undefined) {
-          return;
-        } else {
-          await aiConfig.update(
-            "apiKey",
-            apiKey,
-            vscode.ConfigurationTarget.Global
-          );
-        }
-      } else if (selectedConfig.value === "url") {
-        const oldApiUrl = aiConfig.get("apiUrl", "");
-        const apiUrl = await vscode.window.showInputBox({
-          prompt: "Enter your AI API URL",
-          value: oldApiUrl,
-          ignoreFocusOut: true,
-        });
-        if (apiUrl === undefined) {
-          return;
-        } else {
-          await aiConfig.update(
-            "apiUrl",
-            apiUrl,
-            vscode.ConfigurationTarget.Global
-          );
-        }
-  } else if (selectedConfig.value === "model") {
-        try {
-          const client = getGlobalAI();
-          const modelsResponse = await client.models.list();
-          const modelItems = modelsResponse.data
-            .map((model) => ({ label: model.id }))
-            .sort((a, b) => a.label.localeCompare(b.label));
-          if (!modelItems.length) {
-            void vscode.window.showInformationMessage(
-              "No models available from the AI provider."
-            );
-            return;
-          }
-
-          const aiModel = await vscode.window.showQuickPick(modelItems, {
-            placeHolder: "Select AI Model",
-            ignoreFocusOut: true,
-          });
-          if (!aiModel) {
-            return;
-          }
-
-          // Persist only the model id/label as string
-          /** @type {any} */
-          const modelPick = aiModel;
-          const modelId = typeof modelPick === "string" ? modelPick : (modelPick && modelPick.label) || "";
-          await aiConfig.update(
-            "model",
-            modelId,
-            vscode.ConfigurationTarget.Global
-          );
-        } catch (error) {
-          const message =
-            error instanceof Error ? error.message : String(error);
-          void vscode.window.showErrorMessage(
-            `Failed to fetch models: ${message}`
-          );
-        }
-      }
-    }
+    setAiConfig
+  );
+
+  // Register switchAiProfile command
+  const switchAiProfileCommand = vscode.commands.registerCommand(
+    "extension.switchAiProfile",
+    switchAiProfile
   );
 
   // Register generatePaths command
   const generatePathsCommand = vscode.commands.registerCommand(
     "extension.generatePaths",
-    generatePaths
+    (args) => generatePaths(context, args)
   );
 
   // Register createProjectByAI command
   const createProjectByAICommand = vscode.commands.registerCommand(
     "extension.createProjectByAI",
-    createProjectByAI
+    (args) => createProjectByAI(context, args)
   );
 
   // Register storePrompt command (CRUD + Run for prompt templates)
@@ -120,11 +74,77 @@ async function activate(context) {
     () => storePrompt(context)
   );
 
+  // Explorer context menu: generate into the clicked folder
+  const generatePathsHereCommand = vscode.commands.registerCommand(
+    "extension.generatePathsHere",
+    (uri) => generatePaths(context, { baseUri: uri })
+  );
+  const createProjectByAIHereCommand = vscode.commands.registerCommand(
+    "extension.createProjectByAIHere",
+    (uri) => createProjectByAI(context, { baseUri: uri })
+  );
+  const runPromptTemplateHereCommand = vscode.commands.registerCommand(
+    "extension.runPromptTemplateHere",
+    (uri) => runPromptTemplateHere(context, uri)
+  );
+
+  // Register showUsage command (token usage and cost report)
+  const showUsageCommand = vscode.commands.registerCommand(
+    "extension.showUsage",
+    showUsage
+  );
+
+  // Register showLastRunLog command (request log of the last run)
+  const showLastRunLogCommand = vscode.commands.registerCommand(
+    "extension.showLastRunLog",
+    showLastRunLog
+  );
+
+  // Register testConnection command (connection diagnostics)
+  const testConnectionCommand = vscode.commands.registerCommand(
+    "extension.testConnection",
+    testConnection
+  );
+
+  // Register applyPlanManifest command (create a saved plan without the planner)
+  const applyPlanManifestCommand = vscode.commands.registerCommand(
+    "extension.applyPlanManifest",
+    (uri) => applyPlanManifest(context, uri)
+  );
+
+  // Register undoLastGeneration command (roll back the files of the last run)
+  const undoLastGenerationCommand = vscode.commands.registerCommand(
+    "extension.undoLastGeneration",
+    undoLastGeneration
+  );
+
+  // Register showGenerationHistory command (pick any recent run to roll back)
+  const showGenerationHistoryCommand = vscode.commands.registerCommand(
+    "extension.showGenerationHistory",
+    showGenerationHistory
+  );
+
   context.subscriptions.push(
-    setAiConfig,
+    secretsWatcher,
+    configWatcher,
+    aiLogChannel,
+    workspaceIndex,
+    generationReview,
+    createProfileStatusBarItem(),
+    setAiConfigCommand,
+    switchAiProfileCommand,
     generatePathsCommand,
     createProjectByAICommand,
-    storePromptCommand
+    storePromptCommand,
+    generatePathsHereCommand,
+    createProjectByAIHereCommand,
+    runPromptTemplateHereCommand,
+    showUsageCommand,
+    showLastRunLogCommand,
+    testConnectionCommand,
+    applyPlanManifestCommand,
+    undoLastGenerationCommand,
+    showGenerationHistoryCommand
   );
 }
 
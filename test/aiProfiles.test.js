@@ -0,0 +1,18 @@
+import assert from 'assert';
+import * as vscode from 'vscode';
+import { effectiveConfigurationTarget } from '../config/ai.js';
+
+suite('AI profile settings scope', () => {
+  test('writes go where the effective value comes from', () => {
+    assert.strictEqual(
+      effectiveConfigurationTarget({ workspaceValue: 'Gateway', globalValue: 'Personal' }),
+      vscode.ConfigurationTarget.Workspace
+    );
+    assert.strictEqual(
+      effectiveConfigurationTarget({ workspaceFolderValue: 'Local', workspaceValue: 'Gateway', globalValue: 'Personal' }),
+      vscode.ConfigurationTarget.WorkspaceFolder
+    );
+    assert.strictEqual(effectiveConfigurationTarget({ globalValue: 'Personal' }), vscode.ConfigurationTarget.Global);
+    assert.strictEqual(effectiveConfigurationTarget(undefined), vscode.ConfigurationTarget.Global);
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'assert';
+import { createFenceStripper } from '../command/codeFence.js';
+
+suite('Streaming code fence stripper', () => {
+  const run = (pieces) => {
+    const stripper = createFenceStripper();
+    let shown = '';
+    let resets = 0;
+    for (const piece of [...pieces, null]) {
+      const { text, reset } = piece === null ? stripper.end() : stripper.push(piece);
+      if (reset) {
+        shown = '';
+        resets += 1;
+      }
+      shown += text;
+    }
+    return { shown, resets };
+  };
+
+  test('keeps only the fenced code, even when the fence is split across pieces', () => {
+    assert.deepStrictEqual(run(['`', '``j', 's\nconst a = 1;\n', 'export default a;\n`', '``\nThat is all.']), {
+      shown: 'const a = 1;\nexport default a;\n',
+      resets: 0,
+    });
+  });
+
+  test('passes unfenced text through as it arrives', () => {
+    assert.deepStrictEqual(run(['# Ti', 'tle\n', 'body `code`']), { shown: '# Title\nbody `code`', resets: 0 });
+  });
+
+  test('takes back text streamed before an opening fence', () => {
+    assert.deepStrictEqual(run(['Here is the file:\n', '```python\nprint(1)\n```\n']), {
+      shown: 'print(1)\n',
+      resets: 1,
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'assert';
+import { mapWithConcurrency } from '../config/concurrency.js';
+import { sleep } from '../config/retry.js';
+
+suite('Bounded concurrency', () => {
+  test('mapWithConcurrency keeps at most limit tasks running and returns results in order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, index) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await sleep(ms);
+      running -= 1;
+      if (index === 3) throw new Error('boom');
+      return ms * 2;
+    });
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(results.map((result) => result.status), ['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+    assert.deepStrictEqual(results[0], { status: 'fulfilled', value: 60 });
+    assert.strictEqual(results[3].reason.message, 'boom');
+  });
+
+  test('mapWithConcurrency starts nothing new once the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = [];
+    const results = await mapWithConcurrency([1, 2, 3, 4], 2, async (item) => {
+      started.push(item);
+      if (item === 2) controller.abort();
+      await sleep(5);
+      return item;
+    }, controller.signal);
+    assert.deepStrictEqual(started, [1, 2]);
+    assert.deepStrictEqual(results.slice(2), [undefined, undefined]);
+  });
+
+  test('mapWithConcurrency starts an item after the items it depends on and breaks cycles', async () => {
+    const order = [];
+    const deps = { 0: [2], 1: [0], 2: [], 3: [4], 4: [3] };
+    await mapWithConcurrency([0, 1, 2, 3, 4], 4, async (item) => {
+      order.push(item);
+      await sleep(2);
+    }, undefined, (index) => deps[index]);
+    assert.deepStrictEqual(order.slice(0, 1), [2]);
+    assert.ok(order.indexOf(0) > order.indexOf(2));
+    assert.ok(order.indexOf(1) > order.indexOf(0));
+    assert.deepStrictEqual([...order].sort(), [0, 1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'assert';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import {
+  requestPathPlan,
+  createPlanRefiner,
+  coerceGeneratedPaths,
+  normalizePlanPath,
+  resolvePlanPath,
+} from '../command/generatePaths.js';
+
+suite('Generate Paths with the mock provider', () => {
+  const config = () => vscode.workspace.getConfiguration('ai');
+  let fixturesDir;
+
+  suiteSetup(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-plan-fixtures-'));
+    await fs.writeFile(
+      path.join(fixturesDir, 'node-api.json'),
+      JSON.stringify({
+        match: 'node api',
+        response: {
+          content: '```json\n{"paths":["src/routes"],"files":["src/routes/user.js","../escape.js","/abs.js"]}\n```',
+        },
+      })
+    );
+    await fs.writeFile(
+      path.join(fixturesDir, 'refine.json'),
+      JSON.stringify({
+        match: 'move routes under src/api',
+        response: { content: '{"paths":["src/api/routes"],"files":["src/api/routes/user.js"]}' },
+      })
+    );
+    await config().update('provider', 'mock', vscode.ConfigurationTarget.Global);
+    await config().update('mock.fixturesDir', fixturesDir, vscode.ConfigurationTarget.Global);
+  });
+
+  suiteTeardown(async () => {
+    await config().update('provider', undefined, vscode.ConfigurationTarget.Global);
+    await config().update('mock.fixturesDir', undefined, vscode.ConfigurationTarget.Global);
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('requestPathPlan output goes through parseJSONResponse and coerceGeneratedPaths', async () => {
+    const payload = await requestPathPlan('mock-model', 'Create a node api', { directories: [], files: [], total: 0 });
+    const items = coerceGeneratedPaths(payload);
+    assert.deepStrictEqual(
+      items.map((item) => [item.path, item.pathKind]),
+      [['src/routes', 'directory'], ['src/routes/user.js', 'file']]
+    );
+  });
+
+  test('root:path entries keep their workspace folder prefix', () => {
+    assert.strictEqual(normalizePlanPath(' web:./src\\app.js '), 'web:src/app.js');
+    assert.throws(() => normalizePlanPath('C:/abs.js'), /Absolute paths not allowed/);
+    assert.deepStrictEqual(
+      coerceGeneratedPaths({ files: ['api:src/index.js', 'api:../escape.js'] }).map((item) => item.path),
+      ['api:src/index.js']
+    );
+    assert.throws(
+      () => resolvePlanPath(vscode.Uri.file(os.tmpdir()), 'no-such-folder:src/a.js'),
+      /Unknown workspace folder "no-such-folder"/
+    );
+  });
+
+  test('coerceGeneratedPaths attaches normalized dependencies to files', () => {
+    const items = coerceGeneratedPaths({
+      files: ['src/app.js', 'src/db.js'],
+      dependencies: { './src/app.js': ['src\\db.js', 'src/app.js', '../escape.js'], 'src/none.js': ['src/db.js'] },
+    });
+    assert.deepStrictEqual(items.map((item) => item.dependsOn), [['src/db.js'], undefined]);
+  });
+
+  test('createPlanRefiner sends the follow-up after the previous plan', async () => {
+    const refine = createPlanRefiner('mock-model', 'Create a node api', { directories: [], files: [], total: 0 });
+    const next = await refine('move routes under src/api', [
+      { path: 'src/routes', pathKind: 'directory' },
+      { path: 'src/routes/user.js', pathKind: 'file' },
+    ]);
+    assert.deepStrictEqual(
+      next.map((item) => item.path),
+      ['src/api/routes', 'src/api/routes/user.js']
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import assert from 'assert';
+import {
+  collectDependencies,
+  dependencyIndexes,
+  exportedSignatures,
+  formatDependencyContext,
+  renameDependencies,
+} from '../command/generationOrder.js';
+import { validatePlan } from '../command/planValidator.js';
+
+suite('Dependency-aware generation order', () => {
+  test('collectDependencies keeps the latest list per file and drops self references', () => {
+    const dependencies = collectDependencies(new Map(), [
+      { path: 'src/app.js', dependsOn: ['src/db.js', 'src/app.js'] },
+      { path: 'src/db.js' },
+    ]);
+    collectDependencies(dependencies, [{ path: 'src/app.js', dependsOn: ['src/routes.js'] }]);
+    assert.deepStrictEqual([...dependencies], [['src/app.js', ['src/routes.js']]]);
+  });
+
+  test('dependencyIndexes points at the files being generated only', () => {
+    const paths = ['src/app.js', 'src/routes.js', 'src/db.js'];
+    const dependsOn = dependencyIndexes(paths, new Map([
+      ['src/app.js', ['src/routes.js', 'src/db.js', 'src/existing.js']],
+      ['src/routes.js', ['src/db.js']],
+    ]));
+    assert.deepStrictEqual([0, 1, 2].map(dependsOn), [[1, 2], [2], []]);
+  });
+
+  test('exportedSignatures outlines the top-level declarations', () => {
+    const content = [
+      "import x from 'x';",
+      'export function getUser(id) {',
+      '  return db.find(id);',
+      '}',
+      'export const ROLE = "admin";',
+      'class Cache {',
+      'def load(path):',
+    ].join('\n');
+    assert.strictEqual(exportedSignatures(content), 'export function getUser(id)\nexport const ROLE = "admin";\nclass Cache\ndef load(path)');
+  });
+
+  test('formatDependencyContext falls back to signatures past the budget', () => {
+    const small = { path: 'src/db.js', content: 'export const db = {};' };
+    const large = { path: 'src/users.js', content: `export function list() {\n${'  // x\n'.repeat(50)}}` };
+    const text = formatDependencyContext([small, large, { path: 'src/empty.js', content: '' }], 60);
+    assert.ok(text.includes('### src/db.js\n```\nexport const db = {};\n```'));
+    assert.ok(text.includes('### src/users.js (signatures only)\n```\nexport function list()\n```'));
+    assert.ok(text.includes('### src/empty.js\n(empty)'));
+  });
+
+  test('renameDependencies follows entries the plan validator renamed or merged', () => {
+    const { renamed } = validatePlan([
+      { path: 'src/con.js', pathKind: 'file' },
+      { path: 'src/app.js', pathKind: 'file' },
+      { path: 'src/Util.js', pathKind: 'file' },
+      { path: 'src/util.js', pathKind: 'file' },
+    ]);
+    assert.deepStrictEqual(renamed, { 'src/con.js': 'src/con_.js', 'src/util.js': 'src/Util.js' });
+
+    const dependencies = renameDependencies(
+      new Map([
+        ['src/app.js', ['src/con.js', 'src/util.js']],
+        ['src/con.js', ['src/Util.js']],
+        ['src/util.js', ['src/db.js']],
+      ]),
+      renamed
+    );
+    assert.deepStrictEqual(
+      [...dependencies],
+      [
+        ['src/app.js', ['src/con_.js', 'src/Util.js']],
+        ['src/con_.js', ['src/Util.js']],
+        ['src/Util.js', ['src/db.js']],
+      ]
+    );
+  });
+});
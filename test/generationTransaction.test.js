@@ -0,0 +1,70 @@
+import assert from 'assert';
+import {
+  contentHash,
+  createTransaction,
+  recordDirectory,
+  recordFile,
+  isEmptyTransaction,
+  summarizeTransaction,
+  planUndo,
+} from '../command/generationTransaction.js';
+
+suite('Generation transactions', () => {
+  const build = () => {
+    const transaction = createTransaction('Create Project By AI', '  Node API\n with users ');
+    recordDirectory(transaction, 'file:///w/src', 'src');
+    recordDirectory(transaction, 'file:///w/src/routes', 'src/routes');
+    recordDirectory(transaction, 'file:///w/src', 'src');
+    recordFile(transaction, { uri: 'file:///w/src/routes/user.js', path: 'src/routes/user.js', content: 'new\n' });
+    recordFile(transaction, { uri: 'file:///w/README.md', path: 'README.md', content: 'generated', original: 'mine' });
+    return transaction;
+  };
+
+  test('records files and folders once and summarizes them', () => {
+    const transaction = build();
+    assert.strictEqual(transaction.detail, 'Node API with users');
+    assert.strictEqual(transaction.directories.length, 2);
+    assert.strictEqual(summarizeTransaction(transaction), '1 created, 1 overwritten, 2 folder(s)');
+    assert.ok(isEmptyTransaction(createTransaction('Generate Paths')));
+
+    recordFile(transaction, { uri: 'file:///w/README.md', path: 'README.md', content: 'again', original: 'generated' });
+    assert.strictEqual(transaction.files[1].original, 'mine');
+    assert.strictEqual(transaction.files[1].hash, contentHash('again'));
+  });
+
+  test('contentHash ignores line endings', () => {
+    assert.strictEqual(contentHash('a\r\nb\r\n'), contentHash('a\nb\n'));
+  });
+
+  test('planUndo removes created files, restores overwritten ones and orders folders deepest first', () => {
+    const transaction = build();
+    const current = new Map([
+      ['file:///w/src/routes/user.js', contentHash('new\n')],
+      ['file:///w/README.md', contentHash('generated')],
+    ]);
+    const steps = planUndo(transaction, current);
+    assert.deepStrictEqual(steps.remove.map((file) => file.path), ['src/routes/user.js']);
+    assert.deepStrictEqual(steps.restore.map((file) => file.path), ['README.md']);
+    assert.deepStrictEqual(steps.directories.map((dir) => dir.path), ['src/routes', 'src']);
+    assert.deepStrictEqual(steps.changed, []);
+  });
+
+  test('planUndo reports changed files and can keep them', () => {
+    const transaction = build();
+    const current = new Map([
+      ['file:///w/src/routes/user.js', undefined],
+      ['file:///w/README.md', contentHash('edited')],
+    ]);
+    const all = planUndo(transaction, current);
+    assert.deepStrictEqual(all.changed, [
+      { path: 'src/routes/user.js', reason: 'deleted' },
+      { path: 'README.md', reason: 'modified' },
+    ]);
+    assert.deepStrictEqual(all.remove, []);
+    assert.deepStrictEqual(all.restore.map((file) => file.path), ['README.md']);
+
+    const kept = planUndo(transaction, current, { keepChanged: true });
+    assert.deepStrictEqual(kept.restore, []);
+    assert.deepStrictEqual(kept.remove, []);
+  });
+});
@@ -0,0 +1,33 @@
+import assert from 'assert';
+import { createIgnoreMatcher, ignoredTreeGlobs } from '../command/ignoreRules.js';
+
+suite('Workspace ignore rules', () => {
+  test('patterns apply relative to the folder of their ignore file', () => {
+    const isIgnored = createIgnoreMatcher([
+      { dir: '', content: 'dist/\n*.log\n' },
+      { dir: 'packages/web', content: 'generated/\n!keep.log\n' },
+    ]);
+    assert.strictEqual(isIgnored('dist/app.js'), true);
+    assert.strictEqual(isIgnored('src/debug.log'), true);
+    assert.strictEqual(isIgnored('packages/web/generated/api.ts'), true);
+    assert.strictEqual(isIgnored('packages/api/generated/api.ts'), false);
+    assert.strictEqual(isIgnored('packages/web/keep.log'), false);
+    assert.strictEqual(isIgnored('src/index.js'), false);
+  });
+
+  test('extra patterns are applied before ignore files', () => {
+    const isIgnored = createIgnoreMatcher([{ dir: '', content: '!vendor/keep.js' }], ['vendor/*']);
+    assert.strictEqual(isIgnored('vendor/lib.js'), true);
+    assert.strictEqual(isIgnored('vendor/keep.js'), false);
+  });
+
+  test('ignoredTreeGlobs excludes what lies beneath ignored paths', () => {
+    assert.deepStrictEqual(
+      ignoredTreeGlobs([
+        { dir: '', content: '# build output\ndist/\n/coverage\n*.log\n' },
+        { dir: 'packages/web', content: 'src/generated\nlib\n!lib\n\\#notes\n{a,b}\n' },
+      ]),
+      ['**/dist/**', 'coverage/**', '**/*.log/**', 'packages/web/src/generated/**']
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'assert';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { fixtureKey, createMockProvider, withRecording } from '../config/mockProvider.js';
+
+suite('Mock provider record/replay', () => {
+  let fixturesDir;
+
+  setup(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-fixtures-'));
+  });
+
+  teardown(async () => {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  const request = {
+    model: 'test-model',
+    messages: [
+      { role: 'system', content: 'Plan paths' },
+      { role: 'user', content: 'Create a todo API' },
+    ],
+    responseFormat: 'json',
+  };
+
+  test('fixtureKey ignores options that do not change the answer', () => {
+    assert.strictEqual(fixtureKey(request), fixtureKey({ ...request, maxTokens: 10 }));
+    assert.notStrictEqual(fixtureKey(request), fixtureKey({ ...request, model: 'other' }));
+  });
+
+  test('recorded responses are replayed by the mock provider', async () => {
+    const live = {
+      id: 'live',
+      chat: async () => ({ content: '{"files":["src/app.js"]}', usage: { promptTokens: 3, completionTokens: 4, totalTokens: 7 } }),
+      listModels: async () => [],
+    };
+    await withRecording(live, { fixturesDir }).chat(request);
+
+    const mock = createMockProvider({ fixturesDir });
+    const replayed = await mock.chat(request);
+    assert.strictEqual(replayed.content, '{"files":["src/app.js"]}');
+    assert.strictEqual(replayed.usage.totalTokens, 7);
+    assert.deepStrictEqual(await mock.listModels(), ['test-model']);
+  });
+
+  test('a fixture that cannot be written does not fail the request', async () => {
+    const live = { id: 'live', chat: async () => ({ content: 'billed answer' }), listModels: async () => [] };
+    const blocker = path.join(fixturesDir, 'not-a-folder');
+    await fs.writeFile(blocker, '');
+    const errors = [];
+    const response = await withRecording(live, {
+      fixturesDir: blocker,
+      onError: (message) => errors.push(message),
+    }).chat(request);
+    assert.strictEqual(response.content, 'billed answer');
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /Could not record fixture/);
+  });
+
+  test('hand-written fixtures match on the last user message', async () => {
+    await fs.writeFile(
+      path.join(fixturesDir, 'todo.json'),
+      JSON.stringify({ match: 'todo API', response: { content: 'ok' } })
+    );
+    const mock = createMockProvider({ fixturesDir });
+    assert.strictEqual((await mock.chat({ ...request, model: 'any' })).content, 'ok');
+    await assert.rejects(
+      mock.chat({ ...request, messages: [{ role: 'user', content: 'unknown' }] }),
+      /No recorded fixture/
+    );
+  });
+});
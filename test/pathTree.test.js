@@ -0,0 +1,33 @@
+import assert from 'assert';
+import { buildPathTree, renderPathTree, summarizePathTree, estimateTokens } from '../command/pathTree.js';
+
+suite('Workspace path tree', () => {
+  const files = ['package.json', 'src/index.js', 'src/lib/a.js', 'src/lib/b.js', 'docs/guide.md'];
+
+  test('renderPathTree lists folders before files', () => {
+    assert.strictEqual(
+      renderPathTree(buildPathTree(files)),
+      ['docs/', '  guide.md', 'src/', '  lib/', '    a.js', '    b.js', '  index.js', 'package.json'].join('\n')
+    );
+  });
+
+  test('renderPathTree collapses large and deep folders to file counts', () => {
+    const tree = buildPathTree(files);
+    assert.strictEqual(
+      renderPathTree(tree, { collapseThreshold: 1 }),
+      ['docs/', '  guide.md', 'src/ (3 files)', 'package.json'].join('\n')
+    );
+    assert.strictEqual(
+      renderPathTree(tree, { maxDepth: 1 }),
+      ['docs/ (1 files)', 'src/ (3 files)', 'package.json'].join('\n')
+    );
+  });
+
+  test('summarizePathTree stays within the token budget', () => {
+    const many = Array.from({ length: 500 }, (_, i) => `pkg${i % 20}/src/module${i}/index.js`);
+    const summary = summarizePathTree(many, { tokenBudget: 150 });
+    assert.ok(estimateTokens(summary) <= 150, `got ${estimateTokens(summary)} tokens`);
+    assert.ok(estimateTokens(summarizePathTree(many, { tokenBudget: 40 })) <= 40);
+    assert.match(summary, /pkg0\/\n  src\/ \(25 files\)/);
+  });
+});
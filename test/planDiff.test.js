@@ -0,0 +1,41 @@
+import assert from 'assert';
+import { diffPlans } from '../command/planDiff.js';
+
+const file = (path) => ({ path, pathKind: 'file' });
+const dir = (path) => ({ path, pathKind: 'directory' });
+
+suite('Plan diff', () => {
+  test('reports added, removed and unchanged entries', () => {
+    const diff = diffPlans([file('a.js'), file('b.js')], [file('a.js'), file('c.md')]);
+    assert.deepStrictEqual(diff, {
+      added: [file('c.md')],
+      removed: [file('b.js')],
+      moved: [],
+      kindChanged: [],
+      unchanged: 1,
+    });
+  });
+
+  test('pairs entries that changed folder as moves', () => {
+    const diff = diffPlans(
+      [dir('src/hooks'), file('src/hooks/useAuth.js'), file('src/index.js')],
+      [dir('src/shared/hooks'), file('src/shared/hooks/useAuth.js'), file('src/index.js')]
+    );
+    assert.deepStrictEqual(diff.moved, [
+      { from: 'src/hooks', to: 'src/shared/hooks', pathKind: 'directory' },
+      { from: 'src/hooks/useAuth.js', to: 'src/shared/hooks/useAuth.js', pathKind: 'file' },
+    ]);
+    assert.deepStrictEqual([diff.added, diff.removed, diff.unchanged], [[], [], 1]);
+  });
+
+  test('does not guess moves for ambiguous names and reports kind changes', () => {
+    const diff = diffPlans(
+      [file('a/index.js'), file('b/index.js'), file('lib')],
+      [file('c/index.js'), file('d/index.js'), dir('lib')]
+    );
+    assert.deepStrictEqual(diff.moved, []);
+    assert.strictEqual(diff.added.length, 2);
+    assert.strictEqual(diff.removed.length, 2);
+    assert.deepStrictEqual(diff.kindChanged, [{ path: 'lib', from: 'file', to: 'directory' }]);
+  });
+});
@@ -0,0 +1,31 @@
+import assert from 'assert';
+import { sanitizePlanItems } from '../command/planEditor.js';
+
+suite('Plan editor', () => {
+  test('sanitizePlanItems normalizes paths and drops invalid or duplicate entries', () => {
+    const items = sanitizePlanItems([
+      { path: './src//index.js', pathKind: 'file' },
+      { path: 'src/index.js', pathKind: 'file' },
+      { path: '../outside.js', pathKind: 'file' },
+      { path: '/abs/file.js', pathKind: 'file' },
+      { path: 'src/lib' },
+      { path: '' },
+      null,
+    ]);
+    assert.deepStrictEqual(items, [
+      { path: 'src/index.js', pathKind: 'file' },
+      { path: 'src/lib', pathKind: 'directory' },
+    ]);
+  });
+
+  test('sanitizePlanItems can drop directories', () => {
+    const items = sanitizePlanItems(
+      [
+        { path: 'docs', pathKind: 'directory' },
+        { path: 'docs/README.md', pathKind: 'file' },
+      ],
+      { allowDirectories: false }
+    );
+    assert.deepStrictEqual(items, [{ path: 'docs/README.md', pathKind: 'file' }]);
+  });
+});
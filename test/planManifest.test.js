@@ -0,0 +1,52 @@
+import assert from 'assert';
+import { createManifest, manifestFormat, parseManifest, serializeManifest } from '../command/planManifest.js';
+
+suite('Plan manifests', () => {
+  const manifest = createManifest({
+    instructions: 'Create a node api',
+    base: 'packages/api',
+    entries: [
+      { path: 'src/routes', pathKind: 'directory' },
+      { path: 'src/routes/user.js', pathKind: 'file', instructions: 'Use express', content: 'export default {};\n' },
+      { path: 'README.md', pathKind: 'file', dependsOn: ['src/routes/user.js'] },
+    ],
+  });
+
+  test('createManifest leaves out empty fields', () => {
+    assert.deepStrictEqual(manifest, {
+      version: 1,
+      instructions: 'Create a node api',
+      base: 'packages/api',
+      entries: [
+        { path: 'src/routes', kind: 'directory' },
+        { path: 'src/routes/user.js', kind: 'file', instructions: 'Use express', content: 'export default {};\n' },
+        { path: 'README.md', kind: 'file', dependsOn: ['src/routes/user.js'] },
+      ],
+    });
+  });
+
+  test('JSON and YAML round-trip', () => {
+    for (const format of ['json', 'yaml']) {
+      const parsed = parseManifest(serializeManifest(manifest, format), format);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(parsed)), manifest, format);
+    }
+    assert.match(serializeManifest(manifest, 'yaml'), /content: \|/);
+  });
+
+  test('manifestFormat follows the file extension', () => {
+    assert.strictEqual(manifestFormat('/ws/ai-plan.yaml'), 'yaml');
+    assert.strictEqual(manifestFormat('/ws/ai-plan.YML'), 'yaml');
+    assert.strictEqual(manifestFormat('/ws/ai-plan.json'), 'json');
+  });
+
+  test('parseManifest accepts path strings and reports bad entries', () => {
+    assert.deepStrictEqual(parseManifest('entries:\n  - src/index.js\n', 'yaml').entries, [
+      { path: 'src/index.js', kind: undefined, instructions: undefined, content: undefined, dependsOn: undefined },
+    ]);
+    assert.throws(() => parseManifest('{"entries": [{"kind": "file"}]}', 'json'), /entries\[0\] needs a "path"/);
+    assert.throws(() => parseManifest('{"entries": [{"path": "a", "kind": "folder"}]}', 'json'), /kind must be/);
+    assert.throws(() => parseManifest('{"entries": [{"path": "a.js", "dependsOn": "b.js"}]}', 'json'), /dependsOn must be a list/);
+    assert.throws(() => parseManifest('{"version": 2, "entries": []}', 'json'), /Unsupported manifest version 2/);
+    assert.throws(() => parseManifest('entries: [', 'yaml'), /Not valid YAML/);
+  });
+});
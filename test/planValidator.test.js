@@ -0,0 +1,73 @@
+import assert from 'assert';
+import { validatePlan, planAncestors, splitRootPath } from '../command/planValidator.js';
+
+const file = (path) => ({ path, pathKind: 'file' });
+const dir = (path) => ({ path, pathKind: 'directory' });
+
+suite('Plan validator', () => {
+  test('splitRootPath and planAncestors understand root:path entries', () => {
+    assert.deepStrictEqual(splitRootPath('web:src/app.js'), { root: 'web', path: 'src/app.js' });
+    assert.deepStrictEqual(splitRootPath('C:/abs.js'), { path: 'C:/abs.js' });
+    assert.deepStrictEqual(planAncestors('web:a/b/c.js'), ['web:a', 'web:a/b']);
+    assert.deepStrictEqual(planAncestors('readme.md'), []);
+  });
+
+  test('renames Windows-reserved and invalid names', () => {
+    const result = validatePlan([file('src/con.js'), file('docs/a?b.md'), dir('logs/aux'), file('notes. ')]);
+    assert.deepStrictEqual(
+      result.items.map((item) => item.path),
+      ['src/con_.js', 'docs/a_b.md', 'logs/aux_', 'notes']
+    );
+    assert.deepStrictEqual(result.blocked, []);
+    assert.deepStrictEqual(
+      result.issues.map((issue) => [issue.path, issue.code, issue.fix]),
+      [
+        ['src/con.js', 'reserved-name', { path: 'src/con_.js' }],
+        ['docs/a?b.md', 'invalid-name', { path: 'docs/a_b.md' }],
+        ['logs/aux', 'reserved-name', { path: 'logs/aux_' }],
+        ['notes. ', 'invalid-name', { path: 'notes' }],
+      ]
+    );
+  });
+
+  test('blocks paths inside node_modules or .git', () => {
+    const result = validatePlan([file('node_modules/x/index.js'), file('.git/hooks/pre-commit'), file('src/git.js')]);
+    assert.deepStrictEqual(result.blocked, ['node_modules/x/index.js', '.git/hooks/pre-commit']);
+    assert.ok(result.issues.every((issue) => issue.code === 'protected-folder' && issue.severity === 'error'));
+  });
+
+  test('merges case-only duplicates and blocks a file/folder clash', () => {
+    const result = validatePlan([file('src/App.js'), file('src/app.js'), dir('lib'), file('LIB')]);
+    assert.deepStrictEqual(result.items, [file('src/App.js'), dir('lib'), file('LIB')]);
+    assert.deepStrictEqual(result.blocked, ['LIB']);
+    assert.deepStrictEqual(
+      result.issues.map((issue) => [issue.path, issue.severity, issue.code]),
+      [['src/app.js', 'warning', 'case-collision'], ['LIB', 'error', 'kind-conflict']]
+    );
+  });
+
+  test('turns an extensionless file that holds entries into a folder', () => {
+    const result = validatePlan([file('src/utils'), file('src/utils/format.js'), file('api.js'), file('api.js/handler.js')]);
+    assert.deepStrictEqual(result.items.slice(0, 2), [dir('src/utils'), file('src/utils/format.js')]);
+    assert.deepStrictEqual(result.blocked, ['api.js']);
+    assert.deepStrictEqual(result.issues[0].fix, { path: 'src/utils', pathKind: 'directory' });
+  });
+
+  test('checks entries against what exists on disk', () => {
+    const existing = { src: 'directory', 'src/index.js': 'file', 'README.md': 'file', docs: 'file' };
+    const result = validatePlan(
+      [file('src/index.js'), dir('src'), dir('README.md'), file('docs/guide.md'), file('src/new.js')],
+      { existing }
+    );
+    assert.deepStrictEqual(result.blocked, ['README.md', 'docs/guide.md']);
+    assert.deepStrictEqual(
+      result.issues.map((issue) => [issue.path, issue.severity, issue.code]),
+      [
+        ['src/index.js', 'warning', 'exists'],
+        ['src', 'warning', 'exists'],
+        ['README.md', 'error', 'kind-conflict'],
+        ['docs/guide.md', 'error', 'kind-conflict'],
+      ]
+    );
+  });
+});
@@ -0,0 +1,25 @@
+import assert from 'assert';
+import { redactText, redactValue, compilePatterns } from '../config/redact.js';
+
+suite('AI log redaction', () => {
+  test('redactText removes known keys and credential-looking tokens', () => {
+    const out = redactText('key=my-secret-key auth: Bearer abc.def.ghi123 token sk-abcdefghijklmnopqrstu', {
+      secrets: ['my-secret-key'],
+    });
+    assert.strictEqual(out, 'key=[REDACTED] auth: Bearer [REDACTED] token [REDACTED]');
+  });
+
+  test('configured patterns are applied and invalid ones ignored', () => {
+    const patterns = compilePatterns(['corp-[0-9]{4}', '([unclosed']);
+    assert.strictEqual(patterns.length, 1);
+    assert.strictEqual(redactText('id corp-1234 ok', { patterns }), 'id [REDACTED] ok');
+  });
+
+  test('redactValue walks nested messages', () => {
+    const entry = { messages: [{ role: 'user', content: 'use my-secret-key' }], attempt: 1 };
+    assert.deepStrictEqual(redactValue(entry, { secrets: ['my-secret-key'] }), {
+      messages: [{ role: 'user', content: 'use [REDACTED]' }],
+      attempt: 1,
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import assert from 'assert';
+import { parseRetryAfter, isRetryableError, computeRetryDelay } from '../config/retry.js';
+
+suite('AI request retry helpers', () => {
+  test('parseRetryAfter reads seconds, milliseconds and HTTP dates', () => {
+    assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': '2' })), 2000);
+    assert.strictEqual(parseRetryAfter({ 'Retry-After-Ms': '150' }), 150);
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter({ 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }, now), 5000);
+    assert.strictEqual(parseRetryAfter(undefined), undefined);
+  });
+
+  test('isRetryableError retries rate limits, 5xx and network errors only', () => {
+    assert.strictEqual(isRetryableError({ status: 429 }), true);
+    assert.strictEqual(isRetryableError({ status: 503 }), true);
+    assert.strictEqual(isRetryableError({ status: 401 }), false);
+    assert.strictEqual(isRetryableError(new TypeError('fetch failed')), true);
+    assert.strictEqual(isRetryableError({ name: 'AbortError' }), false);
+  });
+
+  test('isRetryableError retries timeouts and connection failures', () => {
+    assert.strictEqual(isRetryableError({ name: 'TimeoutError', timeout: true }), true);
+    assert.strictEqual(isRetryableError({ name: 'APIConnectionTimeoutError' }), true);
+    assert.strictEqual(isRetryableError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' })), true);
+    assert.strictEqual(
+      isRetryableError(new TypeError('fetch failed', { cause: Object.assign(new Error('getaddrinfo'), { code: 'EAI_AGAIN' }) })),
+      true
+    );
+  });
+
+  test('isRetryableError does not retry failures that would repeat', () => {
+    assert.strictEqual(isRetryableError(new Error('Something went wrong')), false);
+    assert.strictEqual(
+      isRetryableError(new Error('No recorded fixture for this request (abc.json in fixtures). Record one with ai.mock.record against a real endpoint.')),
+      false
+    );
+    assert.strictEqual(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'content')")), false);
+  });
+
+  test('computeRetryDelay backs off exponentially and honors Retry-After', () => {
+    const noJitter = () => 1;
+    assert.strictEqual(computeRetryDelay(0, {}, 1000, noJitter), 1000);
+    assert.strictEqual(computeRetryDelay(2, {}, 1000, noJitter), 4000);
+    assert.strictEqual(computeRetryDelay(2, { headers: { 'retry-after': '7' } }, 1000, noJitter), 7000);
+  });
+});
@@ -0,0 +1,29 @@
+import assert from 'assert';
+import { sanitizeScaffoldTemplates, matchScaffoldTemplate, scaffoldPlan } from '../command/scaffoldTemplates.js';
+
+suite('Scaffold templates', () => {
+  const templates = sanitizeScaffoldTemplates([
+    { name: 'Node API', match: ['node api', 'express'], paths: ['src/routes'], files: ['src/index.js', 'src/routes/user.js'] },
+    { name: 'Node CLI', match: 'node cli', files: ['bin/cli.js'] },
+    { name: 'Python package', match: ['python package'], paths: ['pkg', 'tests'], files: ['pkg/__init__.py'] },
+    { name: 'Broken', match: [] },
+    'not a template',
+  ]);
+
+  test('sanitizeScaffoldTemplates drops templates without phrases or paths', () => {
+    assert.deepStrictEqual(templates.map((item) => item.name), ['Node API', 'Node CLI', 'Python package']);
+    assert.deepStrictEqual(templates[1].match, ['node cli']);
+  });
+
+  test('matchScaffoldTemplate picks the template covering the most words', () => {
+    assert.strictEqual(matchScaffoldTemplate(templates, 'Create a Node.js API with users')?.name, 'Node API');
+    assert.strictEqual(matchScaffoldTemplate(templates, 'a small CLI in node')?.name, 'Node CLI');
+    assert.strictEqual(matchScaffoldTemplate(templates, 'Python package for parsing')?.name, 'Python package');
+    assert.strictEqual(matchScaffoldTemplate(templates, 'React dashboard'), undefined);
+  });
+
+  test('scaffoldPlan honours the requested kinds', () => {
+    assert.deepStrictEqual(scaffoldPlan(templates[2], { path: true, file: false }), { paths: ['pkg', 'tests'], files: [] });
+    assert.deepStrictEqual(scaffoldPlan(templates[2], { path: false, file: true }), { paths: [], files: ['pkg/__init__.py'] });
+  });
+});
@@ -0,0 +1,27 @@
+import assert from 'assert';
+import { readServerSentEvents } from '../config/sse.js';
+
+suite('Server-sent events', () => {
+  const body = (...chunks) =>
+    new ReadableStream({
+      start(controller) {
+        const encoder = new TextEncoder();
+        for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+        controller.close();
+      },
+    });
+
+  test('readServerSentEvents parses named events split across chunks', async () => {
+    const events = [];
+    for await (const event of readServerSentEvents(
+      body(': ping\n\nevent: content_block_delta\r', '\ndata: {"a":', '1}\r\n\r\ndata: line 1\ndata: line 2\n\n', 'data: [DONE]')
+    )) {
+      events.push(event);
+    }
+    assert.deepStrictEqual(events, [
+      { event: 'content_block_delta', data: '{"a":1}' },
+      { event: 'message', data: 'line 1\nline 2' },
+      { event: 'message', data: '[DONE]' },
+    ]);
+  });
+});
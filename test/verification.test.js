@@ -0,0 +1,41 @@
+import assert from 'assert';
+import { formatProblems, outputLinesFor, describeVerification } from '../command/verification.js';
+
+suite('Generation verification', () => {
+  test('formatProblems lists each problem with its origin', () => {
+    assert.strictEqual(
+      formatProblems([
+        { line: 3, message: "Cannot find name 'x'.", source: 'ts', code: 2304 },
+        { line: 7, message: 'Missing semicolon.' },
+      ]),
+      "line 3: Cannot find name 'x'. (ts 2304)\nline 7: Missing semicolon."
+    );
+  });
+
+  test('outputLinesFor picks the lines naming the file and their details', () => {
+    const output = [
+      'src\\api\\user.ts(4,10): error TS2305: Module has no exported member.',
+      'src/other.ts(1,1): error TS1005',
+      '/ws/src/api/user.ts',
+      '   2:7  error  Unexpected var  no-var',
+      '   9:1  error  Unreachable code  no-unreachable',
+      '',
+      '2 problems',
+    ].join('\n');
+    assert.deepStrictEqual(outputLinesFor(output, 'src/api/user.ts'), [
+      'src\\api\\user.ts(4,10): error TS2305: Module has no exported member.',
+      '/ws/src/api/user.ts',
+      '   2:7  error  Unexpected var  no-var',
+      '   9:1  error  Unreachable code  no-unreachable',
+    ]);
+    assert.strictEqual(outputLinesFor(output, 'src/api/user.ts', 2).length, 2);
+  });
+
+  test('describeVerification summarizes fixed and remaining files', () => {
+    assert.strictEqual(describeVerification({ rounds: 0, fixed: [], remaining: [], cancelled: false }), 'no problems found');
+    assert.strictEqual(
+      describeVerification({ rounds: 2, fixed: ['a.js'], remaining: [{ path: 'b.js', count: 3 }], cancelled: false }),
+      'fixed 1 file(s) in 2 repair round(s); problems remain in b.js (3)'
+    );
+  });
+});